@@ -0,0 +1,221 @@
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { TokenBucketLimiter } = require('./rate-limit');
+const { AppError, sendError } = require('./errors');
+const { calculateAge } = require('./tools');
+const { summarizeFeedback } = require('./feedback');
+const { escapeRegExp } = require('./utils');
+
+// Owner-only /admin area: edit each persona's profile, preview its system
+// prompt, read anonymized visitor conversations, the contact requests and reply
+// feedback. Protected by HTTP Basic auth against ADMIN_PASSWORD; without it
+// the whole area answers 404.
+
+const LIST_FIELDS = ['workExperience', 'technicalSkills', 'education', 'hobbies', 'contactLinks'];
+const TEXT_FIELDS = ['name', 'dateOfBirth', 'profession', 'summary'];
+// Age isn't stored: it's calculated from dateOfBirth whenever it's needed
+const FIELD_ORDER = ['name', 'dateOfBirth', 'profession', ...LIST_FIELDS, 'summary'];
+const MAX_TEXT_CHARS = 2000;
+const MAX_LIST_ITEMS = 30;
+
+// Constant-time comparison that doesn't leak the password length
+function safeEqual(a, b) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function readBasicPassword(req) {
+  const match = /^Basic\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return null;
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const colon = decoded.indexOf(':');
+  return colon === -1 ? null : decoded.slice(colon + 1);
+}
+
+// Basic auth with a lockout once an IP keeps guessing wrong
+function requireAdmin({ password, now = Date.now }) {
+  const failures = new TokenBucketLimiter({ capacity: 10, refillPerMinute: 2, now });
+  const lockedUntil = new Map();
+
+  return function adminAuth(req, res, next) {
+    const until = lockedUntil.get(req.ip);
+    if (until && until > now()) {
+      const retryAfter = Math.ceil((until - now()) / 1000);
+      return sendError(res, new AppError('RATE_LIMITED', { message: 'Too many failed logins. Try again later.', retryAfter }));
+    }
+    lockedUntil.delete(req.ip);
+
+    const supplied = readBasicPassword(req);
+    if (supplied !== null && safeEqual(supplied, password)) return next();
+
+    if (supplied !== null) {
+      const result = failures.take(req.ip);
+      if (!result.ok) lockedUntil.set(req.ip, now() + result.retryAfter * 1000);
+    }
+    res.set('WWW-Authenticate', 'Basic realm="Chatbot admin", charset="UTF-8"');
+    sendError(res, new AppError('UNAUTHORIZED', { message: 'Admin password required.' }));
+  };
+}
+
+// Returns { profile } with cleaned fields, or { errors } listing what's wrong
+function validateProfile(input) {
+  const errors = [];
+  const profile = {};
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['Profile must be a JSON object'] };
+  }
+
+  for (const field of TEXT_FIELDS) {
+    const value = typeof input[field] === 'string' ? input[field].trim() : '';
+    if (!value) errors.push(`${field} is required`);
+    else if (value.length > MAX_TEXT_CHARS) errors.push(`${field} is too long (max ${MAX_TEXT_CHARS} characters)`);
+    profile[field] = value;
+  }
+
+  if (profile.dateOfBirth && calculateAge(profile.dateOfBirth) === null) {
+    errors.push('dateOfBirth must be a past date such as "January 13, 2005"');
+  }
+
+  for (const field of LIST_FIELDS) {
+    const items = Array.isArray(input[field]) ? input[field] : [];
+    const cleaned = items.map(item => String(item ?? '').trim()).filter(Boolean);
+    if (cleaned.length > MAX_LIST_ITEMS) errors.push(`${field} has too many entries (max ${MAX_LIST_ITEMS})`);
+    if (cleaned.some(item => item.length > MAX_TEXT_CHARS)) errors.push(`${field} has an entry that is too long`);
+    profile[field] = cleaned;
+  }
+
+  if (errors.length) return { errors };
+  // Same key order as the persona files so saved ones diff cleanly
+  return { profile: Object.fromEntries(FIELD_ORDER.map(field => [field, profile[field]])) };
+}
+
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const PHONE = /\+?\d[\d\s().-]{7,}\d/g;
+
+// Visitors are shown under a stable alias; their name, email addresses and
+// phone numbers are masked and the real session id never leaves the server
+function anonymizeSession(session) {
+  const key = crypto.createHash('sha256').update(session.id).digest('hex').slice(0, 8);
+  const alias = `Visitor ${key}`;
+  const name = session.userName && session.userName !== 'Guest' ? session.userName : null;
+  const namePattern = name ? new RegExp(escapeRegExp(name), 'gi') : null;
+
+  const redact = text => {
+    let clean = text.replace(EMAIL, '[email]').replace(PHONE, '[phone]');
+    if (namePattern) clean = clean.replace(namePattern, alias);
+    return clean;
+  };
+
+  return {
+    id: key,
+    visitor: alias,
+    persona: session.persona || null,
+    language: session.language || 'en',
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    messageCount: session.messages.length,
+    messages: session.messages.map(m => ({ role: m.role, content: redact(m.content), at: m.at || null }))
+  };
+}
+
+// `personas` is the PersonaRegistry (it owns the persona files); `buildPrompt(persona,
+// profile, { userName, language })` renders the system prompt exactly as /chat would.
+// Every API call works on one persona, `?persona=<id>` (the default one if left out).
+function createAdminRouter({ password, sessions, contacts, feedback, personas, buildPrompt }) {
+  const router = express.Router();
+
+  if (!password) {
+    router.use((req, res) => sendError(res, new AppError('NOT_FOUND', { message: 'Admin area is disabled (set ADMIN_PASSWORD).' })));
+    return router;
+  }
+
+  router.use(requireAdmin({ password }));
+  router.use(express.static(path.join(__dirname, 'admin')));
+
+  router.use('/api', (req, res, next) => {
+    const id = req.query.persona;
+    req.persona = id ? personas.get(id) : personas.default;
+    if (!req.persona) return sendError(res, new AppError('PERSONA_NOT_FOUND'));
+    next();
+  });
+  // Entries saved before there were several personas belong to the default one
+  const ofPersona = req => entry => (entry.persona || personas.default.id) === req.persona.id;
+
+  router.get('/api/personas', (req, res) => {
+    res.json({
+      personas: personas.list().map(persona => ({
+        id: persona.id,
+        name: persona.profile.name,
+        default: persona === personas.default
+      }))
+    });
+  });
+
+  router.get('/api/profile', (req, res) => {
+    res.json(req.persona.profile);
+  });
+
+  router.put('/api/profile', async (req, res, next) => {
+    try {
+      const { profile, errors } = validateProfile(req.body);
+      if (errors) return sendError(res, new AppError('INVALID_INPUT', { message: 'Invalid profile', details: errors }));
+      await personas.saveProfile(req.persona.id, profile);
+      res.json(profile);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Preview a draft without saving it; falls back to the live profile
+  router.post('/api/prompt-preview', (req, res) => {
+    const draft = req.body.profile ? validateProfile(req.body.profile) : { profile: req.persona.profile };
+    if (draft.errors) return sendError(res, new AppError('INVALID_INPUT', { message: 'Invalid profile', details: draft.errors }));
+    const prompt = buildPrompt(req.persona, draft.profile, {
+      userName: String(req.body.userName || '').trim().slice(0, 50) || 'Guest',
+      language: req.body.language
+    });
+    res.json({ prompt });
+  });
+
+  router.get('/api/conversations', async (req, res, next) => {
+    try {
+      const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+      const recent = await sessions.list({ limit, filter: session => session.messages.length > 0 && ofPersona(req)(session) });
+      res.json({ conversations: recent.map(anonymizeSession) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Leads from the contact form, newest first (shown in full: the owner needs them)
+  router.get('/api/contacts', async (req, res, next) => {
+    try {
+      const entries = await contacts.list();
+      res.json({ contacts: entries.filter(ofPersona(req)).reverse() });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Thumbs up/down totals and the worst-rated questions, to show which profile
+  // facts need work
+  router.get('/api/feedback', async (req, res, next) => {
+    try {
+      const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+      const entries = await feedback.list();
+      res.json(summarizeFeedback(entries.filter(ofPersona(req)), { limit }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter,
+  safeEqual,
+  validateProfile,
+  anonymizeSession
+};
@@ -0,0 +1,256 @@
+// Admin dashboard: same-origin calls to /admin/api, reusing the browser's Basic auth.
+// Everything on the page belongs to the persona picked at the top.
+
+const API = '/admin/api';
+const LIST_FIELDS = ['workExperience', 'technicalSkills', 'education', 'hobbies', 'contactLinks'];
+const TEXT_FIELDS = ['name', 'profession', 'dateOfBirth', 'summary'];
+
+const form = document.getElementById('profile-form');
+const profileStatus = document.getElementById('profile-status');
+const previewStatus = document.getElementById('preview-status');
+const previewEl = document.getElementById('prompt-preview');
+const listEl = document.getElementById('conversation-list');
+const personaSelect = document.getElementById('persona-select');
+
+let savedProfile = null;
+let persona = '';
+
+function setStatus(el, text, isError = false) {
+  el.textContent = text;
+  el.classList.toggle('error', isError);
+}
+
+async function api(path, options = {}) {
+  const query = persona ? `${path.includes('?') ? '&' : '?'}persona=${encodeURIComponent(persona)}` : '';
+  const res = await fetch(`${API}${path}${query}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers }
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const details = Array.isArray(data.details) ? `: ${data.details.join('; ')}` : '';
+    throw new Error(`${data.error || `Request failed (${res.status})`}${details}`);
+  }
+  return data;
+}
+
+function fillForm(profile) {
+  for (const field of TEXT_FIELDS) form.elements[field].value = profile[field] || '';
+  for (const field of LIST_FIELDS) form.elements[field].value = (profile[field] || []).join('\n');
+}
+
+function readForm() {
+  const profile = {};
+  for (const field of TEXT_FIELDS) profile[field] = form.elements[field].value.trim();
+  for (const field of LIST_FIELDS) {
+    profile[field] = form.elements[field].value.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+  return profile;
+}
+
+async function loadProfile() {
+  try {
+    savedProfile = await api('/profile');
+    fillForm(savedProfile);
+    setStatus(profileStatus, '');
+  } catch (error) {
+    setStatus(profileStatus, error.message, true);
+  }
+}
+
+async function saveProfile(event) {
+  event.preventDefault();
+  const saveBtn = document.getElementById('save-btn');
+  saveBtn.disabled = true;
+  try {
+    savedProfile = await api('/profile', { method: 'PUT', body: JSON.stringify(readForm()) });
+    fillForm(savedProfile);
+    setStatus(profileStatus, `Saved ${new Date().toLocaleTimeString()}. The bot uses it from the next message.`);
+  } catch (error) {
+    setStatus(profileStatus, error.message, true);
+  } finally {
+    saveBtn.disabled = false;
+  }
+}
+
+async function previewPrompt() {
+  try {
+    const { prompt } = await api('/prompt-preview', {
+      method: 'POST',
+      body: JSON.stringify({
+        profile: readForm(),
+        userName: document.getElementById('preview-name').value,
+        language: document.getElementById('preview-language').value
+      })
+    });
+    previewEl.textContent = prompt;
+    previewEl.hidden = false;
+    setStatus(previewStatus, `${prompt.length} characters`);
+  } catch (error) {
+    setStatus(previewStatus, error.message, true);
+  }
+}
+
+function renderConversation(conv) {
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  const firstQuestion = conv.messages.find(m => m.role === 'user');
+  summary.append(firstQuestion ? firstQuestion.content.slice(0, 80) : '(no questions)');
+
+  const meta = document.createElement('span');
+  meta.className = 'meta';
+  meta.textContent = `${conv.visitor} · ${conv.messageCount} messages · ${conv.language} · ${new Date(conv.updatedAt).toLocaleString()}`;
+  summary.appendChild(meta);
+  details.appendChild(summary);
+
+  for (const m of conv.messages) {
+    const turn = document.createElement('div');
+    turn.className = `turn ${m.role}`;
+    const who = document.createElement('span');
+    who.className = 'who';
+    who.textContent = m.role === 'user' ? `${conv.visitor}:` : 'Bot:';
+    turn.append(who, m.content);
+    details.appendChild(turn);
+  }
+  return details;
+}
+
+function renderContact(entry) {
+  const item = document.createElement('div');
+  item.className = 'contact';
+
+  const from = document.createElement('strong');
+  from.textContent = entry.name;
+  const email = document.createElement('a');
+  email.href = `mailto:${entry.email}`;
+  email.textContent = entry.email;
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  meta.textContent = `${new Date(entry.createdAt).toLocaleString()} · ${entry.language || 'en'}`;
+  const message = document.createElement('p');
+  message.textContent = entry.message;
+
+  item.append(from, ' · ', email, meta, message);
+  return item;
+}
+
+// A question with its vote counts; expands to the comments and the last answer rated down
+function renderFeedback(item) {
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  const votes = document.createElement('span');
+  votes.className = 'votes';
+  const down = document.createElement('span');
+  down.className = 'down';
+  down.textContent = `👎 ${item.down}`;
+  const up = document.createElement('span');
+  up.className = 'up';
+  up.textContent = `👍 ${item.up}`;
+  votes.append(down, ' ', up);
+  const meta = document.createElement('span');
+  meta.className = 'meta';
+  meta.textContent = `last rated ${new Date(item.lastRatedAt).toLocaleString()}`;
+  summary.append(votes, item.question.slice(0, 120), meta);
+  details.appendChild(summary);
+
+  for (const c of item.comments) {
+    const comment = document.createElement('p');
+    comment.className = 'comment';
+    comment.textContent = `${c.rating === 'down' ? '👎' : '👍'} ${c.comment}`;
+    details.appendChild(comment);
+  }
+  if (item.lastDownAnswer) {
+    const turn = document.createElement('div');
+    turn.className = 'turn assistant';
+    const who = document.createElement('span');
+    who.className = 'who';
+    who.textContent = `Bot${item.lastDownAnswer.model ? ` (${item.lastDownAnswer.model})` : ''}:`;
+    turn.append(who, item.lastDownAnswer.answer);
+    details.appendChild(turn);
+  }
+  return details;
+}
+
+// Shared empty/error handling for the lists
+function showListMessage(el, text, isError = false) {
+  const p = document.createElement('p');
+  p.className = isError ? 'status error' : 'status';
+  p.textContent = text;
+  el.appendChild(p);
+}
+
+async function loadContacts() {
+  const el = document.getElementById('contact-list');
+  el.replaceChildren();
+  try {
+    const { contacts } = await api('/contacts');
+    if (!contacts.length) return showListMessage(el, 'No contact requests yet.');
+    el.append(...contacts.map(renderContact));
+  } catch (error) {
+    showListMessage(el, error.message, true);
+  }
+}
+
+async function loadFeedback() {
+  const el = document.getElementById('feedback-list');
+  const totalsEl = document.getElementById('feedback-totals');
+  const modelsEl = document.getElementById('feedback-models');
+  el.replaceChildren();
+  try {
+    const { totals, models, worst } = await api('/feedback');
+    totalsEl.textContent = `👍 ${totals.up} · 👎 ${totals.down}`;
+    modelsEl.textContent = models.length
+      ? `By model: ${models.map(m => `${m.model} 👍 ${m.up} 👎 ${m.down}`).join(' · ')}`
+      : '';
+    if (!worst.length) return showListMessage(el, 'No thumbs-down ratings yet.');
+    el.append(...worst.map(renderFeedback));
+  } catch (error) {
+    showListMessage(el, error.message, true);
+  }
+}
+
+async function loadConversations() {
+  listEl.replaceChildren();
+  try {
+    const { conversations } = await api('/conversations?limit=30');
+    if (!conversations.length) return showListMessage(listEl, 'No conversations yet.');
+    listEl.append(...conversations.map(renderConversation));
+  } catch (error) {
+    showListMessage(listEl, error.message, true);
+  }
+}
+
+// The picker only shows up when this deployment hosts more than one persona
+async function loadPersonas() {
+  try {
+    const { personas } = await api('/personas');
+    personaSelect.replaceChildren(...personas.map(p => new Option(`${p.name} (${p.id})`, p.id)));
+    persona = (personas.find(p => p.default) || personas[0]).id;
+    personaSelect.value = persona;
+    document.getElementById('persona-picker').hidden = personas.length < 2;
+  } catch (error) {
+    setStatus(profileStatus, error.message, true);
+  }
+}
+
+function loadAll() {
+  previewEl.hidden = true;
+  setStatus(previewStatus, '');
+  loadProfile();
+  loadFeedback();
+  loadContacts();
+  loadConversations();
+}
+
+personaSelect.addEventListener('change', () => {
+  persona = personaSelect.value;
+  loadAll();
+});
+form.addEventListener('submit', saveProfile);
+document.getElementById('reset-btn').addEventListener('click', () => savedProfile && fillForm(savedProfile));
+document.getElementById('preview-btn').addEventListener('click', previewPrompt);
+document.getElementById('refresh-btn').addEventListener('click', loadConversations);
+document.getElementById('refresh-contacts-btn').addEventListener('click', loadContacts);
+document.getElementById('refresh-feedback-btn').addEventListener('click', loadFeedback);
+
+loadPersonas().then(loadAll);
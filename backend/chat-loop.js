@@ -0,0 +1,129 @@
+const { ProviderError } = require('./providers');
+const { toolMessageContent } = require('./tools');
+const { logger } = require('./logger');
+
+// One /chat turn against the provider: the model may call tools from the
+// registry, we run them and ask again, until it answers in plain text. A reply
+// cut off by max_tokens is continued with follow-up requests.
+
+const MAX_TOOL_ROUNDS = 3;
+const MAX_CONTINUATIONS = 2;
+
+const CONTINUE_PROMPT = 'Continue your previous reply exactly where it stopped. Do not repeat anything and do not greet again.';
+
+// Models without tool support reject the `tools` field outright (OpenRouter
+// answers 404 "No endpoints found that support tool use"). Other 4xx errors,
+// such as a too-long context, say nothing about tools and are passed on.
+const TOOL_ERROR = /\btools?\b|tool[_ ]?(use|choice|calls?)|function[_ ]?call|\bfunctions?\b/i;
+
+function rejectsTools(error) {
+  return error instanceof ProviderError && [400, 404, 422].includes(error.status) &&
+    TOOL_ERROR.test(`${error.message} ${error.details || ''}`);
+}
+
+// Resolves to { reply, finishReason, truncated, provider, model, toolCalls } where
+// `toolCalls` lists every invocation as { id, name, arguments, result | error }
+// and `truncated` means the reply still hit the length limit after
+// `maxContinuations` follow-ups.
+// With `stream` set, text goes out through onDelta as it arrives and onStart
+// fires once the first upstream connection has succeeded.
+async function runChat({
+  provider,
+  messages,
+  registry = null,
+  context = {},
+  stream = false,
+  signal,
+  onStart = () => {},
+  onDelta = () => {},
+  onTool = () => {},
+  maxRounds = MAX_TOOL_ROUNDS,
+  maxContinuations = MAX_CONTINUATIONS,
+  log = logger
+}) {
+  const conversation = [...messages];
+  const invocations = [];
+  let tools = registry?.size && registry.supports(provider) ? registry.definitions() : null;
+  let reply = '';
+  let continuations = 0;
+
+  const ask = async offer => {
+    if (!stream) return provider.complete(conversation, { signal, tools: offer });
+
+    const deltas = await provider.stream(conversation, { signal, tools: offer });
+    onStart();
+    let content = '';
+    for await (const delta of deltas) {
+      content += delta;
+      onDelta(delta);
+    }
+    return {
+      content,
+      finishReason: deltas.finishReason || null,
+      toolCalls: deltas.toolCalls || [],
+      provider: deltas.provider,
+      model: deltas.model
+    };
+  };
+
+  for (let round = 0; ; round++) {
+    // The last round offers no tools so the model has to answer; neither
+    // does a continuation, which should only finish the text
+    const offer = tools && round < maxRounds && !continuations ? tools : undefined;
+    let result;
+    try {
+      result = await ask(offer);
+    } catch (error) {
+      if (!offer || !rejectsTools(error)) throw error;
+      // In a fallback chain the model that refused may not be the primary
+      const rejected = { name: error.provider || provider.name, model: error.model || provider.model };
+      log.warn('Model rejected tool definitions, answering without tools from now on', {
+        provider: rejected.name,
+        model: rejected.model,
+        status: error.status
+      });
+      registry.markUnsupported(rejected);
+      tools = null;
+      result = await ask(undefined);
+    }
+    reply += result.content || '';
+
+    if (!result.toolCalls?.length || !offer) {
+      const cutOff = result.finishReason === 'length';
+      if (cutOff && result.content && continuations < maxContinuations) {
+        continuations++;
+        conversation.push(
+          { role: 'assistant', content: result.content },
+          { role: 'user', content: CONTINUE_PROMPT }
+        );
+        continue;
+      }
+      return {
+        reply,
+        finishReason: result.finishReason,
+        truncated: cutOff,
+        provider: result.provider,
+        model: result.model,
+        toolCalls: invocations
+      };
+    }
+
+    conversation.push({
+      role: 'assistant',
+      content: result.content || null,
+      tool_calls: result.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments || '{}' }
+      }))
+    });
+    for (const call of result.toolCalls) {
+      const invocation = await registry.run(call, context);
+      invocations.push(invocation);
+      onTool(invocation);
+      conversation.push({ role: 'tool', tool_call_id: call.id, content: toolMessageContent(invocation) });
+    }
+  }
+}
+
+module.exports = { runChat, MAX_TOOL_ROUNDS, MAX_CONTINUATIONS };
@@ -0,0 +1,102 @@
+const path = require('path');
+const crypto = require('crypto');
+const { JsonFile } = require('./utils');
+
+// Lead capture: spotting contact/hiring intent in a chat message, validating
+// POST /contact submissions, storing them and notifying the owner.
+
+// English and Burmese phrases that mean "I want to reach / hire this person"
+const CONTACT_INTENT = new RegExp([
+  '\\b(hire|hiring|recruit(er|ing)?|job (offer|opening|opportunity)|vacanc(y|ies)|interview)\\b',
+  '\\b(contact|reach (out|him|her)|get in touch|email|e-mail|phone number|whatsapp|linkedin)\\b',
+  '\\b(freelance|commission|collaborat(e|ion)|work together|available for work)\\b',
+  'ဆက်သွယ်', 'အလုပ်ခေါ်', 'အလုပ်ခန့်', 'ခန့်အပ်', 'အင်တာဗျူး', 'အီးမေးလ်', 'ဖုန်းနံပါတ်', 'တွဲလုပ်'
+].join('|'), 'i');
+
+function detectContactIntent(message) {
+  return CONTACT_INTENT.test(String(message || ''));
+}
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const LIMITS = { name: 100, email: 254, message: 2000 };
+
+// Returns { contact } with trimmed fields, or { errors }
+function validateContact(body = {}) {
+  const errors = [];
+  const field = key => (typeof body[key] === 'string' ? body[key].trim() : '');
+  const contact = { name: field('name'), email: field('email'), message: field('message') };
+
+  for (const [key, max] of Object.entries(LIMITS)) {
+    if (!contact[key]) errors.push(`${key} is required`);
+    else if (contact[key].length > max) errors.push(`${key} is too long (max ${max} characters)`);
+  }
+  if (contact.email && !EMAIL.test(contact.email)) errors.push('email is not a valid address');
+
+  return errors.length ? { errors } : { contact };
+}
+
+// All submissions in one JSON array file
+class ContactStore {
+  constructor({ file }) {
+    this.file = file;
+    this.json = new JsonFile(file, { initial: [] });
+  }
+
+  list() {
+    return this.json.read();
+  }
+
+  add(data) {
+    const entry = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...data };
+    return this.json.update(entries => {
+      entries.push(entry);
+      return entry;
+    });
+  }
+}
+
+// Notifiers share one method: notify(entry) -> Promise
+class NullNotifier {
+  async notify() {}
+}
+
+// POSTs each submission as JSON (Slack/Discord-style `text` plus the raw fields)
+class WebhookNotifier {
+  constructor({ url, fetchImpl = fetch, timeoutMs = 10000 }) {
+    this.url = url;
+    this.fetch = fetchImpl;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async notify(entry) {
+    const res = await this.fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        text: `New contact request${entry.persona ? ` for ${entry.persona}` : ''} from ${entry.name} <${entry.email}>:\n${entry.message}`,
+        contact: entry
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    if (!res.ok) throw new Error(`Webhook responded ${res.status}`);
+  }
+}
+
+function createContactStore(env = process.env) {
+  return new ContactStore({ file: env.CONTACT_FILE || path.join(__dirname, 'data', 'contacts.json') });
+}
+
+// CONTACT_WEBHOOK_URL turns notifications on; otherwise leads are only stored
+function createNotifier(env = process.env) {
+  return env.CONTACT_WEBHOOK_URL ? new WebhookNotifier({ url: env.CONTACT_WEBHOOK_URL }) : new NullNotifier();
+}
+
+module.exports = {
+  detectContactIntent,
+  validateContact,
+  ContactStore,
+  NullNotifier,
+  WebhookNotifier,
+  createContactStore,
+  createNotifier
+};
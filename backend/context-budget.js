@@ -0,0 +1,105 @@
+const { logger } = require('./logger');
+const { envNumber } = require('./utils');
+
+// Keeps long chats inside the model's context window. Tokens are estimated
+// (no tokenizer dependency); once the history is over budget the older turns
+// are folded into a running summary and only the recent ones go out verbatim.
+
+// Latin text averages about 4 characters per token; other scripts (Burmese
+// especially) tokenize far worse, so they are counted at about 2
+const LATIN_CHARS_PER_TOKEN = 4;
+const OTHER_CHARS_PER_TOKEN = 2;
+// Role markers and separators the chat template adds around every message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+const SUMMARY_PROMPT = `
+You maintain a running summary of a chat between a website visitor and an AI assistant.
+Merge the previous summary (if any) with the new messages into one short summary in English.
+Keep the visitor's name, facts they shared, what they asked and the key points of the answers.
+Write at most 120 words of plain prose and nothing else.
+`.trim();
+
+function estimateTokens(text) {
+  const value = String(text || '');
+  const latin = (value.match(/[\u0000-\u024f]/g) || []).length;
+  const other = value.length - latin;
+  return Math.ceil(latin / LATIN_CHARS_PER_TOKEN + other / OTHER_CHARS_PER_TOKEN);
+}
+
+function countTokens(messages) {
+  return messages.reduce((sum, m) => sum + estimateTokens(m.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+}
+
+function loadBudgetConfig(env = process.env) {
+  return {
+    // The model's context window, shared by prompt, history and reply
+    contextTokens: envNumber(env.LLM_CONTEXT_TOKENS, 8192),
+    // History beyond this (even if the window has room) gets summarized
+    historyTokens: envNumber(env.HISTORY_TOKEN_BUDGET, 2000),
+    // Most recent messages always sent verbatim, budget permitting
+    keepMessages: envNumber(env.HISTORY_KEEP_MESSAGES, 6),
+    summaryMaxTokens: envNumber(env.SUMMARY_MAX_TOKENS, 200),
+    // Follow-up requests when a reply stops at max_tokens
+    maxContinuations: envNumber(env.LLM_MAX_CONTINUATIONS, 2)
+  };
+}
+
+function transcript(messages) {
+  return messages.map(m => `${m.role === 'user' ? 'Visitor' : 'Assistant'}: ${m.content}`).join('\n');
+}
+
+// Ask the model for an updated summary; resolves to its text
+async function summarize({ provider, previous, messages, maxTokens, signal }) {
+  const input = [previous ? `Previous summary:\n${previous}` : '', `New messages:\n${transcript(messages)}`]
+    .filter(Boolean)
+    .join('\n\n');
+  const result = await provider.complete([
+    { role: 'system', content: SUMMARY_PROMPT },
+    { role: 'user', content: input }
+  ], { signal, maxTokens });
+  return result.content.trim();
+}
+
+// Pick what to send. `messages` is the full stored history and `summary`
+// ({ content, count }) covers its first `count` messages. `reserveTokens` is
+// what the system prompt, new message and reply need. With `summarizer`
+// over-budget turns are folded into a new summary; without one (or when it
+// fails) they are just dropped. Resolves to { history, summary, compacted }.
+async function compactHistory({ messages, summary = null, reserveTokens = 0, config, summarizer = null, log = logger }) {
+  const covered = Math.min(summary?.count || 0, messages.length);
+  const pending = messages.slice(covered);
+  const budget = Math.max(0, Math.min(config.historyTokens, config.contextTokens - reserveTokens));
+  const summaryTokens = summary ? estimateTokens(summary.content) : 0;
+
+  if (countTokens(pending) + summaryTokens <= budget) {
+    return { history: pending, summary, compacted: false };
+  }
+
+  // Keep the recent turns verbatim within half the budget (the rest is room
+  // for the summary), always starting on a visitor message
+  let keepFrom = Math.max(0, pending.length - config.keepMessages);
+  while (keepFrom < pending.length && (pending[keepFrom].role !== 'user' || countTokens(pending.slice(keepFrom)) > budget / 2)) {
+    keepFrom++;
+  }
+  const history = pending.slice(keepFrom);
+  const folded = pending.slice(0, keepFrom);
+
+  if (summarizer && folded.length) {
+    try {
+      const content = await summarizer({ previous: summary?.content || '', messages: folded });
+      if (content) return { history, summary: { content, count: covered + keepFrom }, compacted: true };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      log.warn('Summarizing history failed, dropping older turns instead', { error });
+    }
+  }
+  return { history, summary, compacted: true };
+}
+
+module.exports = {
+  estimateTokens,
+  countTokens,
+  loadBudgetConfig,
+  summarize,
+  compactHistory
+};
@@ -0,0 +1,86 @@
+const { ProviderError } = require('./providers/errors');
+
+// Every error response has the same shape:
+//   { error: <friendly message>, code: <stable code>, requestId, retryAfter?, details? }
+// Clients branch on `code`; `error` is safe to show as-is. Internal details
+// (upstream bodies, stack traces) only go to the logs.
+
+const ERRORS = {
+  INVALID_INPUT: { status: 400, message: 'The request was not valid.' },
+  BLOCKED: { status: 400, message: "This message can't be answered here. Please rephrase your question." },
+  UNAUTHORIZED: { status: 401, message: 'Authentication required.' },
+  FORBIDDEN: { status: 403, message: 'This site is not allowed to use that chatbot.' },
+  NOT_FOUND: { status: 404, message: 'Not found.' },
+  PERSONA_NOT_FOUND: { status: 404, message: 'There is no chatbot with that name.' },
+  SESSION_NOT_FOUND: { status: 404, message: 'This conversation has expired. Please start a new one.' },
+  PAYLOAD_TOO_LARGE: { status: 413, message: 'The request is too large.' },
+  RATE_LIMITED: { status: 429, message: 'Too many requests. Please try again in a moment.' },
+  INTERNAL: { status: 500, message: 'Something went wrong on our side. Please try again.' },
+  PROVIDER_ERROR: { status: 502, message: 'The AI service could not handle this request.' },
+  EMPTY_REPLY: { status: 502, message: 'The AI returned an empty reply. Please try again.' },
+  STREAM_INTERRUPTED: { status: 502, message: 'The reply was interrupted. Please try again.' },
+  PROVIDER_DOWN: { status: 503, message: 'The AI service is unavailable right now. Please try again shortly.' },
+  CONFIG_MISSING: { status: 503, message: 'The chatbot is not configured yet.' }
+};
+
+// `details` must be safe for the client (e.g. validation messages); `data`
+// adds extra response fields; `cause` is logged, never sent
+class AppError extends Error {
+  constructor(code, { message, status, details = null, retryAfter = null, data = {}, cause } = {}) {
+    const spec = ERRORS[code] || ERRORS.INTERNAL;
+    super(message || spec.message, cause ? { cause } : undefined);
+    this.name = 'AppError';
+    this.code = ERRORS[code] ? code : 'INTERNAL';
+    this.status = status || spec.status;
+    this.details = details;
+    this.retryAfter = retryAfter;
+    this.data = data;
+  }
+}
+
+// Map anything thrown to an AppError; unknown errors become INTERNAL
+function toAppError(error) {
+  if (error instanceof AppError) return error;
+
+  if (error instanceof ProviderError) {
+    if (error.status === 429) {
+      return new AppError('RATE_LIMITED', { retryAfter: Number(error.retryAfter) || 60, cause: error });
+    }
+    if (error.status >= 500) {
+      return new AppError('PROVIDER_DOWN', { status: [502, 503, 504].includes(error.status) ? error.status : 502, cause: error });
+    }
+    return new AppError('PROVIDER_ERROR', { cause: error });
+  }
+
+  // body-parser errors carry their own type (413 too large, 400 bad JSON)
+  if (error?.type === 'entity.too.large') return new AppError('PAYLOAD_TOO_LARGE', { cause: error });
+  if (error?.type === 'entity.parse.failed') {
+    return new AppError('INVALID_INPUT', { message: 'Request body is not valid JSON.', cause: error });
+  }
+
+  return new AppError('INTERNAL', { cause: error });
+}
+
+function errorBody(error, requestId = null) {
+  const body = { error: error.message, code: error.code, requestId, ...error.data };
+  if (error.retryAfter !== null) body.retryAfter = error.retryAfter;
+  if (error.details) body.details = error.details;
+  return body;
+}
+
+// Send `error` (anything throwable) as a JSON error response. The code is
+// left on res.locals for the access log and metrics.
+function sendError(res, error) {
+  const appError = toAppError(error);
+  res.locals.errorCode = appError.code;
+  if (appError.retryAfter !== null) res.set('Retry-After', String(appError.retryAfter));
+  return res.status(appError.status).json(errorBody(appError, res.locals.requestId));
+}
+
+module.exports = {
+  ERRORS,
+  AppError,
+  toAppError,
+  errorBody,
+  sendError
+};
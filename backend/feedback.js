@@ -0,0 +1,113 @@
+const path = require('path');
+const { JsonFile } = require('./utils');
+
+// Thumbs up/down on replies: validating POST /feedback, storing one entry per
+// rated reply and summarizing them for the admin dashboard, worst first.
+
+const RATINGS = ['up', 'down'];
+const LIMITS = { question: 2000, answer: 8000, comment: 1000, model: 200 };
+// Client-side message ids (UUIDs, or a timestamp fallback in old browsers)
+const MESSAGE_ID = /^[\w-]{1,64}$/;
+
+// Returns { feedback } with trimmed fields, or { errors }
+function validateFeedback(body = {}) {
+  const errors = [];
+  const field = key => (typeof body[key] === 'string' ? body[key].trim() : '');
+  const feedback = {
+    messageId: field('messageId'),
+    rating: field('rating'),
+    question: field('question'),
+    answer: field('answer'),
+    comment: field('comment'),
+    model: field('model') || null
+  };
+
+  if (!MESSAGE_ID.test(feedback.messageId)) errors.push('messageId is required');
+  if (!RATINGS.includes(feedback.rating)) errors.push('rating must be "up" or "down"');
+  if (!feedback.question) errors.push('question is required');
+  if (!feedback.answer) errors.push('answer is required');
+  for (const [key, max] of Object.entries(LIMITS)) {
+    if (feedback[key] && feedback[key].length > max) errors.push(`${key} is too long (max ${max} characters)`);
+  }
+
+  return errors.length ? { errors } : { feedback };
+}
+
+// One JSON array file, one entry per rated reply: rating it again (or adding a
+// comment) replaces the entry.
+class FeedbackStore {
+  constructor({ file }) {
+    this.file = file;
+    this.json = new JsonFile(file, { initial: [] });
+  }
+
+  list() {
+    return this.json.read();
+  }
+
+  record(data) {
+    return this.json.update(entries => {
+      const now = new Date().toISOString();
+      const index = entries.findIndex(e => e.messageId === data.messageId);
+      const entry = { ...(index >= 0 ? entries[index] : { createdAt: now }), ...data, updatedAt: now };
+      if (index >= 0) entries[index] = entry;
+      else entries.push(entry);
+      return entry;
+    });
+  }
+}
+
+function createFeedbackStore(env = process.env) {
+  return new FeedbackStore({ file: env.FEEDBACK_FILE || path.join(__dirname, 'data', 'feedback.json') });
+}
+
+// "What are his skills?" and "what are his skills" count as the same question
+function questionKey(question) {
+  return question.toLowerCase().replace(/\s+/g, ' ').replace(/[\s?!.။]+$/, '').trim();
+}
+
+// Totals, per-model counts and the questions with the most net thumbs down
+// (each with its latest comments and the last answer that was rated down)
+function summarizeFeedback(entries, { limit = 20 } = {}) {
+  const totals = { up: 0, down: 0 };
+  const models = new Map();
+  const questions = new Map();
+
+  const byTime = [...entries].sort((a, b) => String(a.updatedAt).localeCompare(String(b.updatedAt)));
+  for (const entry of byTime) {
+    totals[entry.rating] += 1;
+
+    const model = entry.model || 'unknown';
+    if (!models.has(model)) models.set(model, { model, up: 0, down: 0 });
+    models.get(model)[entry.rating] += 1;
+
+    const key = questionKey(entry.question);
+    if (!questions.has(key)) {
+      questions.set(key, { question: entry.question, up: 0, down: 0, comments: [], lastDownAnswer: null, lastRatedAt: null });
+    }
+    const q = questions.get(key);
+    q[entry.rating] += 1;
+    q.lastRatedAt = entry.updatedAt;
+    if (entry.comment) q.comments.unshift({ rating: entry.rating, comment: entry.comment, at: entry.updatedAt });
+    if (entry.rating === 'down') q.lastDownAnswer = { answer: entry.answer, model: entry.model };
+  }
+
+  const worst = [...questions.values()]
+    .filter(q => q.down > 0)
+    .sort((a, b) => (b.down - b.up) - (a.down - a.up) || b.down - a.down)
+    .slice(0, limit)
+    .map(q => ({ ...q, comments: q.comments.slice(0, 5) }));
+
+  return {
+    totals: { ...totals, total: totals.up + totals.down },
+    models: [...models.values()].sort((a, b) => b.down - a.down || b.up - a.up),
+    worst
+  };
+}
+
+module.exports = {
+  validateFeedback,
+  FeedbackStore,
+  createFeedbackStore,
+  summarizeFeedback
+};
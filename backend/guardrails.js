@@ -0,0 +1,294 @@
+const fs = require('fs');
+const { logger } = require('./logger');
+const { escapeRegExp, envNumber } = require('./utils');
+
+// Guardrails around /chat. On the way in: only well-formed user/assistant
+// turns, no common prompt-injection phrasing, nothing on the blocklist. On the
+// way out: no quoted behavior rules from the system prompt and no secrets. An
+// optional moderation hook sees the question and the finished reply.
+//
+// Checks return null when the text passes, else a violation
+// { reason, rule, action, details? }: `reason` is a stable code for logs and
+// metrics, `rule` names what matched (never the matched text, which may be a
+// secret) and `action` is 'block' or 'log'.
+
+const ALLOWED_ROLES = ['user', 'assistant'];
+
+// English and Burmese phrasing of the usual "forget your instructions" tricks.
+// Each pattern wants an instruction aimed at the assistant (an imperative at
+// the start of a sentence, or "your ..." instructions), not just the words:
+// "how does CSS override the default rules?" is an ordinary question.
+const COMMAND = String.raw`(?:^|[.!?:;\n]\s*|\b(?:please|now|just)\s+)`;
+const PROMPT_WORDS = String.raw`(?:previous|prior|above|earlier|preceding|system|original|initial|hidden)`;
+const RULE_WORDS = String.raw`(?:instructions?|rules|prompts?|directions|guidelines)`;
+const UNRESTRICTED = String.raw`(?:unrestricted|unfiltered|uncensored|jailbroken|evil|dan)`;
+
+const INJECTION_PATTERNS = [
+  ['ignore-instructions', new RegExp(String.raw`${COMMAND}(?:ignore|disregard|forget|override|bypass)\s+(?:(?:all|any)\s+(?:of\s+)?)?(?:your\s+(?:${PROMPT_WORDS}\s+)*|(?:the\s+)?(?:${PROMPT_WORDS}\s+)+)${RULE_WORDS}\b`, 'im')],
+  ['ignore-instructions', /ညွှန်ကြားချက်.{0,30}(လျစ်လျူရှု|မေ့)/],
+  ['reveal-prompt', new RegExp(String.raw`${COMMAND}(?:reveal|show|print|repeat|output|display|tell|give|share|leak)\b[^.\n]{0,20}?\b(?:your\s+(?:(?:system|hidden|initial|original|secret|full)\s+)?(?:prompt|instructions)|(?:the|this)\s+(?:system|hidden|secret)\s+(?:prompt|instructions))\b`, 'im')],
+  ['reveal-prompt', /\bwhat (?:is|are|was|were) your (?:(?:system|hidden|initial|original|secret)\s+)?(?:prompt|instructions)\b/i],
+  ['role-override', new RegExp(String.raw`\b(?:you are now|you're now|from now on,? you are)\s+(?:an?\s+)?${UNRESTRICTED}\b|\byou are no longer (?:bound|restricted|limited|an? (?:ai|assistant|chatbot))\b|\bfrom now on,? you (?:will|must|shall) (?:ignore|obey|only|answer only|respond only|act as|pretend)\b|\b(?:act|behave|pretend to be) (?:as )?(?:an? )?${UNRESTRICTED}\b`, 'i')],
+  ['jailbreak', /\bjailbreak (?:yourself|mode)\b|\bdan mode\b|\bdo anything now\b|\b(?:enable|enter|activate|switch to|turn on) (?:dan|jailbreak|developer|god) mode\b(?!\s+(?:in|on|for|of)\b)/i],
+  ['chat-markup', /<\|(im_start|im_end|system|endoftext)\|>|\[\/?INST\]|<<\/?SYS>>|^\s*#{2,}\s*(system|instructions?)\s*:?\s*$|^\s*(system|assistant)\s*:\s*(you are|you must|ignore|new (rules|instructions))/im]
+];
+
+// Credential formats worth never echoing, whoever's they are
+const SECRET_PATTERNS = [
+  ['api-key', /\bsk-(or-v1-|proj-|ant-)?[A-Za-z0-9_-]{20,}/],
+  ['aws-key', /\bAKIA[0-9A-Z]{16}\b/],
+  ['github-token', /\bgh[pousr]_[A-Za-z0-9]{30,}/],
+  ['slack-token', /\bxox[abprs]-[A-Za-z0-9-]{10,}/],
+  ['private-key', /-----BEGIN [A-Z ]*PRIVATE KEY-----/],
+  ['bearer-token', /\bBearer\s+[A-Za-z0-9._~+/-]{24,}=*/]
+];
+
+// Our own secrets (matched on their first characters so a leak is caught
+// early in a stream); shorter values would match ordinary words
+const SECRET_ENV = ['LLM_API_KEY', 'OPENROUTER_API_KEY', 'ADMIN_PASSWORD', 'METRICS_TOKEN'];
+// Webhook URLs: the host is public (hooks.slack.com), the token in the path is not
+const SECRET_URL_ENV = ['CONTACT_WEBHOOK_URL'];
+const MIN_SECRET_CHARS = 8;
+const SECRET_PREFIX_CHARS = 16;
+
+// A behavior rule counts as leaked when a reply contains its first
+// LEAK_WINDOW characters (or all of a shorter one, down to MIN_RULE_CHARS)
+const LEAK_WINDOW = 40;
+const MIN_RULE_CHARS = 24;
+
+// How far a stream is held back behind the model by default
+// (GUARDRAILS_HOLDBACK), so a leak is usually caught before any of it
+// reaches the client
+const HOLD_BACK_CHARS = 64;
+
+const MODES = ['block', 'log', 'off'];
+
+// NFKC folds look-alike characters; zero-width ones are a common way to split
+// trigger words
+function normalizeInput(text) {
+  return String(text).normalize('NFKC').replace(/[\u200B-\u200D\u2060\uFEFF]/g, '');
+}
+
+// Lowercase words separated by single spaces, so Markdown and line breaks
+// don't hide a quoted rule
+function normalizeWords(text) {
+  return String(text).normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}\p{M}]+/gu, ' ').trim();
+}
+
+// Longest path segment of a URL, which is where webhook services put the token
+function urlToken(value) {
+  try {
+    return new URL(value).pathname.split('/').reduce((longest, part) => (part.length > longest.length ? part : longest), '');
+  } catch {
+    return '';
+  }
+}
+
+// One term per line; blank lines and "#" comments are skipped
+function readBlocklistFile(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+// Moderators share one method: check(text, { direction, persona }) ->
+// Promise<{ flagged, category? }>
+class NullModerator {
+  async check() {
+    return { flagged: false };
+  }
+}
+
+// POSTs { text, direction, persona } and expects { flagged, category? } back,
+// e.g. from a small wrapper around a hosted moderation API
+class WebhookModerator {
+  constructor({ url, fetchImpl = fetch, timeoutMs = 5000 }) {
+    this.url = url;
+    this.fetch = fetchImpl;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async check(text, { direction, persona = null } = {}) {
+    const res = await this.fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, direction, persona }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    if (!res.ok) throw new Error(`Moderation hook responded ${res.status}`);
+    const body = await res.json();
+    return { flagged: body.flagged === true, category: typeof body.category === 'string' ? body.category : null };
+  }
+}
+
+class Guardrails {
+  constructor({
+    injection = 'block',
+    output = 'block',
+    blocklist = [],
+    secrets = [],
+    moderator = new NullModerator(),
+    holdBack = HOLD_BACK_CHARS
+  } = {}) {
+    this.injection = injection;
+    this.output = output;
+    // Only a check that can stop a reply needs to stay ahead of the client
+    this.holdBack = output === 'block' || blocklist.length ? holdBack : 0;
+    // Whole words only, so "ass" doesn't block "class"
+    this.blocklistPattern = blocklist.length
+      ? new RegExp(`(?<![\\p{L}\\p{N}\\p{M}])(${blocklist.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}\\p{M}])`, 'iu')
+      : null;
+    this.secrets = secrets.map(secret => secret.slice(0, SECRET_PREFIX_CHARS));
+    this.moderator = moderator;
+  }
+
+  // Prior turns a client sent: [{ role, content }] with user/assistant roles
+  // only. Returns { messages } without extra fields, or { violation }.
+  checkMessages(messages, field = 'messages') {
+    if (messages === undefined || messages === null) return { messages: [] };
+    const malformed = details => ({ violation: { reason: 'MALFORMED_MESSAGE', rule: 'shape', action: 'block', details } });
+    if (!Array.isArray(messages)) return malformed([`${field} must be an array`]);
+
+    for (const [i, m] of messages.entries()) {
+      if (!m || typeof m !== 'object' || Array.isArray(m) || typeof m.role !== 'string' || typeof m.content !== 'string') {
+        return malformed([`${field}[${i}] must be { role, content } with string values`]);
+      }
+      if (!ALLOWED_ROLES.includes(m.role)) {
+        return {
+          violation: {
+            reason: 'ROLE_NOT_ALLOWED',
+            rule: m.role.slice(0, 20),
+            action: 'block',
+            details: [`${field}[${i}]: role "${m.role.slice(0, 20)}" is not allowed (use "user" or "assistant")`]
+          }
+        };
+      }
+    }
+    return { messages: messages.map(m => ({ role: m.role, content: m.content })) };
+  }
+
+  // A question or a client-supplied earlier turn
+  scanInput(text) {
+    const normalized = normalizeInput(text);
+    const blocked = this.scanBlocklist(normalized);
+    if (blocked || this.injection === 'off') return blocked;
+    const match = INJECTION_PATTERNS.find(([, pattern]) => pattern.test(normalized));
+    return match ? { reason: 'PROMPT_INJECTION', rule: match[0], action: this.injection } : null;
+  }
+
+  // A reply, or as much of it as has streamed; `instructions` are the
+  // behavior rules of the system prompt it was generated under
+  scanOutput(text, instructions = []) {
+    const blocked = this.scanBlocklist(text);
+    if (blocked || this.output === 'off') return blocked;
+
+    const secret = SECRET_PATTERNS.find(([, pattern]) => pattern.test(text));
+    if (secret) return { reason: 'SECRET_LEAK', rule: secret[0], action: this.output };
+    if (this.secrets.some(value => text.includes(value))) return { reason: 'SECRET_LEAK', rule: 'env', action: this.output };
+
+    const words = normalizeWords(text);
+    const leaked = instructions.findIndex(rule => {
+      const fingerprint = normalizeWords(rule).slice(0, LEAK_WINDOW).trim();
+      return fingerprint.length >= MIN_RULE_CHARS && words.includes(fingerprint);
+    });
+    return leaked >= 0 ? { reason: 'PROMPT_LEAK', rule: `rule-${leaked + 1}`, action: this.output } : null;
+  }
+
+  scanBlocklist(text) {
+    const match = this.blocklistPattern?.exec(normalizeInput(text));
+    return match ? { reason: 'BLOCKLIST', rule: match[1].toLowerCase(), action: 'block' } : null;
+  }
+
+  // Ask the moderation hook. A hook that is down or slow lets the text
+  // through (logged) rather than taking the chat down with it.
+  async moderate(text, { direction, persona = null } = {}, log = logger) {
+    try {
+      const { flagged, category } = await this.moderator.check(text, { direction, persona });
+      return flagged ? { reason: 'MODERATION', rule: category || 'flagged', action: 'block' } : null;
+    } catch (error) {
+      log.warn('Moderation hook failed, allowing the text', { direction, error });
+      return null;
+    }
+  }
+
+  outputGuard(instructions = []) {
+    return new OutputGuard(this, instructions);
+  }
+}
+
+// Runs a streamed reply through scanOutput: text is released `holdBack`
+// characters behind what the model has sent. push() returns { text, violation } where
+// `text` is safe to send now and `violation` is reported once; after a
+// blocking one nothing more is released.
+class OutputGuard {
+  constructor(guardrails, instructions) {
+    this.guardrails = guardrails;
+    this.instructions = instructions;
+    this.reply = '';
+    this.sent = 0;
+    this.violation = null;
+  }
+
+  push(delta) {
+    this.reply += delta;
+    if (this.violation) return { text: this.violation.action === 'block' ? '' : this.release(this.reply.length), violation: null };
+
+    const violation = this.guardrails.scanOutput(this.reply, this.instructions);
+    if (violation) this.violation = violation;
+    if (violation?.action === 'block') return { text: '', violation };
+    return { text: this.release(violation ? this.reply.length : this.reply.length - this.guardrails.holdBack), violation };
+  }
+
+  // Everything still held back, once the model is done
+  end() {
+    return this.violation?.action === 'block' ? '' : this.release(this.reply.length);
+  }
+
+  release(upTo) {
+    // Don't cut a surrogate pair in half
+    if (upTo < this.reply.length && /[\uD800-\uDBFF]/.test(this.reply[upTo - 1] || '')) upTo -= 1;
+    if (upTo <= this.sent) return '';
+    const text = this.reply.slice(this.sent, upTo);
+    this.sent = upTo;
+    return text;
+  }
+}
+
+function parseMode(value, name) {
+  const mode = (value || 'block').toLowerCase();
+  if (!MODES.includes(mode)) throw new Error(`${name} must be one of ${MODES.join(', ')} (got "${value}")`);
+  return mode;
+}
+
+// GUARDRAILS_INJECTION and GUARDRAILS_OUTPUT (block|log|off), the blocklist
+// (GUARDRAILS_BLOCKLIST, comma-separated, and/or GUARDRAILS_BLOCKLIST_FILE),
+// GUARDRAILS_HOLDBACK (characters) and GUARDRAILS_MODERATION_URL; `moderator`
+// overrides the hook (tests)
+function createGuardrails(env = process.env, { moderator = null } = {}) {
+  const blocklist = [
+    ...String(env.GUARDRAILS_BLOCKLIST || '').split(','),
+    ...(env.GUARDRAILS_BLOCKLIST_FILE ? readBlocklistFile(env.GUARDRAILS_BLOCKLIST_FILE) : [])
+  ].map(term => term.trim()).filter(Boolean);
+
+  return new Guardrails({
+    injection: parseMode(env.GUARDRAILS_INJECTION, 'GUARDRAILS_INJECTION'),
+    output: parseMode(env.GUARDRAILS_OUTPUT, 'GUARDRAILS_OUTPUT'),
+    blocklist,
+    secrets: [...SECRET_ENV.map(name => env[name]), ...SECRET_URL_ENV.map(name => urlToken(env[name]))]
+      .filter(value => value && value.length >= MIN_SECRET_CHARS),
+    moderator: moderator || (env.GUARDRAILS_MODERATION_URL
+      ? new WebhookModerator({ url: env.GUARDRAILS_MODERATION_URL })
+      : new NullModerator()),
+    holdBack: Math.max(0, Math.floor(envNumber(env.GUARDRAILS_HOLDBACK, HOLD_BACK_CHARS)))
+  });
+}
+
+module.exports = {
+  Guardrails,
+  OutputGuard,
+  NullModerator,
+  WebhookModerator,
+  createGuardrails,
+  HOLD_BACK_CHARS
+};
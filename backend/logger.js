@@ -0,0 +1,58 @@
+// JSON-lines logging: one object per line with time, level and message plus
+// any fields, so Render's log search (or jq) can filter on requestId, status...
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+function serializeError(error) {
+  const out = { name: error.name, message: error.message };
+  for (const key of ['code', 'status', 'details']) {
+    if (error[key] !== undefined && error[key] !== null && error[key] !== '') out[key] = error[key];
+  }
+  if (error.cause) out.cause = error.cause instanceof Error ? serializeError(error.cause) : error.cause;
+  if (error.stack && !error.status) out.stack = error.stack;
+  return out;
+}
+
+class Logger {
+  constructor({ level = 'info', fields = {}, out = process.stdout, err = process.stderr } = {}) {
+    this.level = Object.hasOwn(LEVELS, level) ? level : 'info';
+    this.fields = fields;
+    this.out = out;
+    this.err = err;
+  }
+
+  // Same destination and level, with extra fields on every line
+  child(fields) {
+    return new Logger({ level: this.level, fields: { ...this.fields, ...fields }, out: this.out, err: this.err });
+  }
+
+  log(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+    const entry = { time: new Date().toISOString(), level, msg, ...this.fields };
+    for (const [key, value] of Object.entries(fields)) {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+    const stream = LEVELS[level] >= LEVELS.warn ? this.err : this.out;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(msg, fields) { this.log('debug', msg, fields); }
+  info(msg, fields) { this.log('info', msg, fields); }
+  warn(msg, fields) { this.log('warn', msg, fields); }
+  error(msg, fields) { this.log('error', msg, fields); }
+}
+
+// LOG_LEVEL=debug|info|warn|error|silent
+function createLogger(env = process.env) {
+  return new Logger({ level: (env.LOG_LEVEL || 'info').toLowerCase() });
+}
+
+// Shared process-wide logger; request handlers use req.log (a child with the requestId)
+const logger = createLogger();
+
+module.exports = {
+  Logger,
+  createLogger,
+  serializeError,
+  logger
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+
+// Request ids, access logs and the counters behind GET /metrics. Everything
+// is in memory and resets on restart; it's meant for a quick look, not history.
+
+const LATENCY_BUCKETS_MS = [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, Infinity];
+// Callers may pass their own X-Request-Id (e.g. a proxy); anything odd is replaced
+const REQUEST_ID = /^[\w.:-]{1,64}$/;
+
+// Count, sum, max and bucketed durations; percentiles are bucket upper bounds
+class Histogram {
+  constructor() {
+    this.count = 0;
+    this.sum = 0;
+    this.max = 0;
+    this.buckets = LATENCY_BUCKETS_MS.map(() => 0);
+  }
+
+  observe(ms) {
+    this.count += 1;
+    this.sum += ms;
+    this.max = Math.max(this.max, ms);
+    this.buckets[LATENCY_BUCKETS_MS.findIndex(bound => ms <= bound)] += 1;
+  }
+
+  percentile(p) {
+    let seen = 0;
+    for (let i = 0; i < this.buckets.length; i++) {
+      seen += this.buckets[i];
+      if (seen >= this.count * p) return Number.isFinite(LATENCY_BUCKETS_MS[i]) ? LATENCY_BUCKETS_MS[i] : Math.round(this.max);
+    }
+    return 0;
+  }
+
+  toJSON() {
+    return {
+      avg: this.count ? Math.round(this.sum / this.count) : 0,
+      p50: this.percentile(0.5),
+      p95: this.percentile(0.95),
+      max: Math.round(this.max)
+    };
+  }
+}
+
+class Metrics {
+  constructor({ now = Date.now } = {}) {
+    this.now = now;
+    this.startedAt = now();
+    this.routes = new Map();
+    this.providers = new Map();
+    this.errors = new Map();
+    this.guardrails = { blocked: {}, logged: {} };
+  }
+
+  recordRequest({ method, route, status, durationMs, errorCode = null }) {
+    const key = `${method} ${route}`;
+    if (!this.routes.has(key)) this.routes.set(key, { method, route, count: 0, byStatus: {}, latency: new Histogram() });
+    const entry = this.routes.get(key);
+    entry.count += 1;
+    entry.byStatus[status] = (entry.byStatus[status] || 0) + 1;
+    entry.latency.observe(durationMs);
+    if (errorCode) this.errors.set(errorCode, (this.errors.get(errorCode) || 0) + 1);
+  }
+
+  // One model call attempt (including ones the fallback chain moved past)
+  recordProviderAttempt({ provider, model, ok, status = null, durationMs }) {
+    const key = `${provider}:${model}`;
+    if (!this.providers.has(key)) {
+      this.providers.set(key, { provider, model, calls: 0, errors: 0, byStatus: {}, latency: new Histogram() });
+    }
+    const entry = this.providers.get(key);
+    entry.calls += 1;
+    entry.latency.observe(durationMs);
+    if (!ok) {
+      entry.errors += 1;
+      const label = status || 'network';
+      entry.byStatus[label] = (entry.byStatus[label] || 0) + 1;
+    }
+  }
+
+  // A guardrail hit on /chat, by reason code; `action` is 'block' or 'log'
+  recordGuardrail({ reason, action }) {
+    const counts = this.guardrails[action === 'block' ? 'blocked' : 'logged'];
+    counts[reason] = (counts[reason] || 0) + 1;
+  }
+
+  snapshot() {
+    const routes = [...this.routes.values()];
+    return {
+      uptimeSeconds: Math.round((this.now() - this.startedAt) / 1000),
+      requests: {
+        total: routes.reduce((sum, r) => sum + r.count, 0),
+        routes: routes.map(({ method, route, count, byStatus, latency }) => ({ method, route, count, byStatus, latencyMs: latency }))
+      },
+      errors: Object.fromEntries(this.errors),
+      guardrails: { blocked: { ...this.guardrails.blocked }, logged: { ...this.guardrails.logged } },
+      providers: [...this.providers.values()].map(({ provider, model, calls, errors, byStatus, latency }) => ({
+        provider,
+        model,
+        calls,
+        errors,
+        errorRate: calls ? Number((errors / calls).toFixed(3)) : 0,
+        byStatus,
+        latencyMs: latency
+      }))
+    };
+  }
+}
+
+// Low-cardinality route label: the matched pattern ("/sessions/:id"), not the URL
+function routeLabel(req) {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  return req.baseUrl || 'unmatched';
+}
+
+// First middleware: assigns the request id (echoed as X-Request-Id), gives the
+// request a logger carrying it, and logs + counts the response when it ends
+function requestContext({ logger, metrics }) {
+  return function observe(req, res, next) {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.locals.requestId = requestId;
+    res.set('X-Request-Id', requestId);
+    req.log = logger.child({ requestId });
+
+    const started = process.hrtime.bigint();
+    let recorded = false;
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+      const route = routeLabel(req);
+      const status = res.writableFinished ? res.statusCode : 499; // 499: client went away
+      metrics.recordRequest({ method: req.method, route, status, durationMs, errorCode: res.locals.errorCode });
+      req.log.info('request', {
+        method: req.method,
+        route,
+        path: req.path,
+        status,
+        durationMs: Math.round(durationMs),
+        ...(res.locals.errorCode ? { code: res.locals.errorCode } : {})
+      });
+    };
+    res.on('finish', record);
+    res.on('close', record);
+    next();
+  };
+}
+
+module.exports = {
+  Metrics,
+  Histogram,
+  requestContext,
+  LATENCY_BUCKETS_MS
+};
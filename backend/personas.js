@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const { validateProfile } = require('./admin');
+const { JsonFile } = require('./utils');
+
+// Personas: one bot per JSON file in PERSONAS_DIR (default config/personas),
+// named <id>.json. A file holds the persona's profile plus its own prompt
+// rules, model settings, allowed origins, knowledge folder and the greeting,
+// placeholder and avatar the frontend shows. Requests pick one by `persona` id, by
+// the subdomain they were sent to or by origin, else get the default persona.
+
+const PERSONA_ID = /^[a-z0-9][a-z0-9-]{0,39}$/;
+// Model settings a persona may override; API keys stay in the environment
+const MODEL_FIELDS = ['provider', 'model', 'baseUrl', 'maxTokens', 'temperature', 'fallbacks'];
+
+function isValidPersonaId(id) {
+  return typeof id === 'string' && PERSONA_ID.test(id) && id !== 'default';
+}
+
+// Per-language UI texts: { en: '...', my: '...' }; a plain string counts as English
+function cleanTexts(value) {
+  if (typeof value === 'string') return value.trim() ? { en: value.trim() } : null;
+  if (!value || typeof value !== 'object') return null;
+  const texts = Object.fromEntries(Object.entries(value)
+    .filter(([, text]) => typeof text === 'string' && text.trim())
+    .map(([lang, text]) => [lang, text.trim()]));
+  return Object.keys(texts).length ? texts : null;
+}
+
+function cleanModel(model = {}) {
+  const settings = {};
+  for (const field of MODEL_FIELDS) {
+    if (model[field] === undefined || model[field] === null || model[field] === '') continue;
+    settings[field] = field === 'fallbacks' && Array.isArray(model[field]) ? model[field].join(',') : model[field];
+  }
+  return settings;
+}
+
+// Parse and check one persona file; throws with the file name on bad input
+function readPersona(file) {
+  const id = path.basename(file, '.json');
+  const fail = message => { throw new Error(`Persona ${path.basename(file)}: ${message}`); };
+  if (!isValidPersonaId(id)) fail('file name must be a lowercase id such as "saw.json"');
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    fail(`not valid JSON (${error.message})`);
+  }
+
+  const { profile, errors } = validateProfile(data.profile);
+  if (errors) fail(errors.join('; '));
+
+  return {
+    id,
+    file,
+    default: data.default === true,
+    profile,
+    promptRules: (Array.isArray(data.promptRules) ? data.promptRules : [])
+      .map(rule => String(rule ?? '').trim())
+      .filter(Boolean),
+    model: cleanModel(data.model),
+    allowedOrigins: (Array.isArray(data.allowedOrigins) ? data.allowedOrigins : [])
+      .map(origin => String(origin).trim().replace(/\/+$/, ''))
+      .filter(Boolean),
+    // Relative to the persona file; without one the persona has no knowledge base
+    knowledgeDir: data.knowledgeDir ? path.resolve(path.dirname(file), data.knowledgeDir) : null,
+    greeting: cleanTexts(data.greeting),
+    placeholder: cleanTexts(data.placeholder),
+    avatar: typeof data.avatar === 'string' && data.avatar.trim() ? data.avatar.trim() : null
+  };
+}
+
+// `devOrigins` may use every persona (local development)
+class PersonaRegistry {
+  constructor(personas, { devOrigins = [] } = {}) {
+    if (!personas.length) throw new Error('No personas configured');
+    this.personas = new Map(personas.map(persona => [persona.id, persona]));
+    this.defaultPersona = personas.find(persona => persona.default) || personas[0];
+    this.devOrigins = devOrigins;
+    this.files = new Map();
+  }
+
+  get(id) {
+    return this.personas.get(id) || null;
+  }
+
+  get default() {
+    return this.defaultPersona;
+  }
+
+  list() {
+    return [...this.personas.values()];
+  }
+
+  // Origins the CORS middleware lets through: the dev ones plus every persona's
+  isAllowedOrigin(origin) {
+    return this.devOrigins.includes(origin) || this.list().some(persona => persona.allowedOrigins.includes(origin));
+  }
+
+  // A persona with no allowedOrigins can be used from any origin CORS accepts
+  allows(persona, origin) {
+    return !origin || !persona.allowedOrigins.length ||
+      this.devOrigins.includes(origin) || persona.allowedOrigins.includes(origin);
+  }
+
+  // Explicit id (null when unknown), else the subdomain the API was called
+  // on ("saw.bots.example.com"), else the persona listing the origin
+  resolve({ id, origin, hostname } = {}) {
+    if (id && id !== 'default') return this.get(id);
+    const labels = String(hostname || '').split('.');
+    if (labels.length > 2 && this.get(labels[0])) return this.get(labels[0]);
+    return this.list().find(persona => origin && persona.allowedOrigins.includes(origin)) || this.default;
+  }
+
+  // Replace a persona's profile, rewriting only that key of its file
+  async saveProfile(id, profile) {
+    const persona = this.get(id);
+    if (!this.files.has(id)) this.files.set(id, new JsonFile(persona.file));
+    await this.files.get(id).update(data => { data.profile = profile; });
+    persona.profile = profile;
+    return persona;
+  }
+}
+
+function loadPersonas(env = process.env, { devOrigins = [] } = {}) {
+  const dir = env.PERSONAS_DIR || path.join(__dirname, 'config', 'personas');
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+  if (!files.length) throw new Error(`No persona files (*.json) in ${dir}`);
+  return new PersonaRegistry(files.map(file => readPersona(path.join(dir, file))), { devOrigins });
+}
+
+// What GET /personas/:id tells the frontend
+function publicPersona(persona) {
+  return {
+    id: persona.id,
+    name: persona.profile.name,
+    greeting: persona.greeting,
+    placeholder: persona.placeholder,
+    avatar: persona.avatar,
+    profile: persona.profile
+  };
+}
+
+module.exports = {
+  PersonaRegistry,
+  loadPersonas,
+  readPersona,
+  publicPersona,
+  isValidPersonaId
+};
@@ -0,0 +1,16 @@
+// Raised when the upstream model API answers with a non-2xx status.
+// `provider` and `model` name the one that answered, once a fallback chain
+// has tried it (null on the chain's own "all models failed" error).
+class ProviderError extends Error {
+  constructor(message, { status = 502, retryAfter = null, details = '', provider = null, model = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.details = details;
+    this.provider = provider;
+    this.model = model;
+  }
+}
+
+module.exports = { ProviderError };
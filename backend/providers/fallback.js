@@ -0,0 +1,164 @@
+const { ProviderError } = require('./errors');
+const { logger } = require('../logger');
+
+const DEFAULT_COOLDOWN_MS = 60 * 1000;
+const FAILURE_COOLDOWN_MS = 30 * 1000;
+
+// retry-after is either delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Errors worth moving down the chain for; anything else is our fault or the client's
+function isRetryable(error) {
+  if (error.name === 'TimeoutError') return true;
+  if (error instanceof ProviderError) return error.status === 429 || error.status >= 500;
+  // fetch rejects with TypeError on connection failures
+  return error instanceof TypeError;
+}
+
+// Tries an ordered list of providers, skipping any still cooling down after a
+// 429, 5xx or timeout. Exposes the same complete()/stream() interface.
+// `onAttempt({ provider, model, ok, status, durationMs })` sees every try.
+class FallbackProvider {
+  constructor(providers, { timeoutMs = 30000, now = Date.now, onAttempt = () => {} } = {}) {
+    this.providers = providers;
+    this.timeoutMs = timeoutMs;
+    this.now = now;
+    this.onAttempt = onAttempt;
+    this.cooldowns = new Map();
+  }
+
+  get name() {
+    return this.providers[0].name;
+  }
+
+  get model() {
+    return this.providers[0].model;
+  }
+
+  get configError() {
+    const ready = this.providers.some(p => !p.configError);
+    return ready ? null : this.providers[0].configError;
+  }
+
+  key(provider) {
+    return `${provider.name}:${provider.model}`;
+  }
+
+  coolDown(provider, error) {
+    const ms = error instanceof ProviderError && error.status === 429
+      ? parseRetryAfter(error.retryAfter) ?? DEFAULT_COOLDOWN_MS
+      : FAILURE_COOLDOWN_MS;
+    this.cooldowns.set(this.key(provider), this.now() + ms);
+  }
+
+  // Per-model cooldowns, for diagnostics
+  status() {
+    const now = this.now();
+    return this.providers.map(p => {
+      const until = this.cooldowns.get(this.key(p)) || 0;
+      return {
+        provider: p.name,
+        model: p.model,
+        coolingDownMs: Math.max(0, until - now)
+      };
+    });
+  }
+
+  // Run `call` against each usable provider in turn with a per-attempt timeout
+  async attempt(call, signal) {
+    let lastError = null;
+    let soonest = Infinity;
+
+    for (const provider of this.providers) {
+      if (provider.configError) continue;
+
+      const until = this.cooldowns.get(this.key(provider)) || 0;
+      if (until > this.now()) {
+        soonest = Math.min(soonest, until);
+        continue;
+      }
+
+      const controller = new AbortController();
+      const onAbort = () => controller.abort(signal.reason);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      const timer = setTimeout(() => {
+        const timeout = new Error(`${provider.name} (${provider.model}) timed out`);
+        timeout.name = 'TimeoutError';
+        controller.abort(timeout);
+      }, this.timeoutMs);
+
+      const started = this.now();
+      const report = (ok, status = null) => this.onAttempt({
+        provider: provider.name,
+        model: provider.model,
+        ok,
+        status,
+        durationMs: this.now() - started
+      });
+
+      try {
+        // The abort link stays in place on success so a streamed reply can
+        // still be cancelled by the client after this returns
+        const result = await call(provider, controller.signal);
+        report(true);
+        return result;
+      } catch (error) {
+        signal?.removeEventListener('abort', onAbort);
+
+        // The client went away; don't blame the model for that
+        if (signal?.aborted) throw error;
+
+        const reason = controller.signal.aborted ? controller.signal.reason : error;
+        // Callers may need the model that failed, not the chain's primary
+        if (reason instanceof ProviderError) Object.assign(reason, { provider: provider.name, model: provider.model });
+        report(false, reason.status || (reason.name === 'TimeoutError' ? 'timeout' : null));
+        if (!isRetryable(reason)) throw reason;
+
+        logger.warn('Model failed, trying next', {
+          provider: provider.name,
+          model: provider.model,
+          status: reason.status || reason.name
+        });
+        this.coolDown(provider, reason);
+        soonest = Math.min(soonest, this.cooldowns.get(this.key(provider)));
+        lastError = reason;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    // Everything is cooling down: report when the first model frees up
+    const retryAfter = Number.isFinite(soonest)
+      ? Math.max(1, Math.ceil((soonest - this.now()) / 1000))
+      : null;
+    if (lastError instanceof ProviderError && lastError.status !== 429) {
+      throw lastError;
+    }
+    let status = 429;
+    if (lastError?.name === 'TimeoutError') status = 504;
+    else if (lastError && !(lastError instanceof ProviderError)) status = 502;
+
+    throw new ProviderError('All models are rate-limited or unavailable', {
+      status,
+      retryAfter,
+      details: lastError ? lastError.message : ''
+    });
+  }
+
+  complete(messages, { signal, ...options } = {}) {
+    return this.attempt((provider, attemptSignal) => provider.complete(messages, { ...options, signal: attemptSignal }), signal);
+  }
+
+  // Only the connection is retried; once deltas flow we are committed to that model
+  stream(messages, { signal, ...options } = {}) {
+    return this.attempt((provider, attemptSignal) => provider.stream(messages, { ...options, signal: attemptSignal }), signal);
+  }
+}
+
+module.exports = { FallbackProvider, parseRetryAfter };
@@ -0,0 +1,86 @@
+const { OpenAICompatibleProvider } = require('./openai-compatible');
+const { OpenRouterProvider } = require('./openrouter');
+const { MockProvider } = require('./mock');
+const { FallbackProvider } = require('./fallback');
+const { ProviderError } = require('./errors');
+
+const DEFAULT_MODEL = 'mistralai/mistral-7b-instruct:free';
+
+// Read provider settings from the environment
+function loadProviderConfig(env = process.env) {
+  return {
+    provider: (env.LLM_PROVIDER || 'openrouter').toLowerCase(),
+    model: env.LLM_MODEL || DEFAULT_MODEL,
+    baseUrl: env.LLM_BASE_URL || '',
+    // Only for pointing OpenRouter at a proxy or a local stand-in (tests)
+    openrouterBaseUrl: env.OPENROUTER_BASE_URL || '',
+    apiKey: env.LLM_API_KEY || env.OPENROUTER_API_KEY || '',
+    maxTokens: Number(env.LLM_MAX_TOKENS) || 150,
+    temperature: env.LLM_TEMPERATURE !== undefined && env.LLM_TEMPERATURE !== ''
+      ? Number(env.LLM_TEMPERATURE)
+      : 0.7,
+    mockReply: env.MOCK_REPLY || null,
+    // Comma-separated "model" or "provider:model" entries tried after the primary
+    fallbacks: parseFallbacks(env.LLM_FALLBACKS),
+    timeoutMs: Number(env.LLM_TIMEOUT_MS) || 30000
+  };
+}
+
+const PROVIDER_NAMES = ['openrouter', 'openai', 'openai-compatible', 'mock'];
+
+// Model ids contain ':' themselves (":free"), so only a known provider name counts as a prefix
+function parseFallbacks(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const colon = entry.indexOf(':');
+      const prefix = colon > 0 ? entry.slice(0, colon).toLowerCase() : '';
+      return PROVIDER_NAMES.includes(prefix)
+        ? { provider: prefix, model: entry.slice(colon + 1) }
+        : { provider: null, model: entry };
+    });
+}
+
+function createProvider(config = loadProviderConfig()) {
+  const { provider, model, baseUrl, apiKey, maxTokens, temperature } = config;
+
+  switch (provider) {
+    case 'openrouter':
+      return new OpenRouterProvider({ baseUrl: config.openrouterBaseUrl, apiKey, model, maxTokens, temperature });
+    case 'openai':
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider({ baseUrl, apiKey, model, maxTokens, temperature });
+    case 'mock':
+      return new MockProvider({ model: model === DEFAULT_MODEL ? 'mock' : model, reply: config.mockReply });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${provider}" (expected openrouter, openai or mock)`);
+  }
+}
+
+// Primary provider followed by LLM_FALLBACKS, wrapped with cooldown tracking;
+// `onAttempt` reports each model call (see FallbackProvider)
+function createProviderChain(config = loadProviderConfig(), { onAttempt } = {}) {
+  const chain = [createProvider(config)];
+  for (const fallback of config.fallbacks) {
+    chain.push(createProvider({
+      ...config,
+      provider: fallback.provider || config.provider,
+      model: fallback.model
+    }));
+  }
+  return new FallbackProvider(chain, { timeoutMs: config.timeoutMs, onAttempt });
+}
+
+module.exports = {
+  createProvider,
+  createProviderChain,
+  loadProviderConfig,
+  parseFallbacks,
+  ProviderError,
+  OpenAICompatibleProvider,
+  OpenRouterProvider,
+  MockProvider,
+  FallbackProvider
+};
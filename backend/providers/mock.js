@@ -0,0 +1,71 @@
+// Questions the mock answers with a tool call when that tool is offered
+const MOCK_TOOL_TRIGGERS = [
+  { pattern: /\b(how old|age)\b/i, tool: 'get_age' },
+  { pattern: /\bprojects?\b/i, tool: 'list_projects' },
+  { pattern: /\b(contact|email|reach)\b/i, tool: 'get_contact_info' }
+];
+
+// Deterministic offline provider: no network, no key, same answer for the
+// same input. Used for local development and tests.
+class MockProvider {
+  constructor({ model = 'mock', reply = null, delayMs = 0 } = {}) {
+    this.name = 'mock';
+    this.model = model;
+    this.reply = reply;
+    this.delayMs = delayMs;
+  }
+
+  get configError() {
+    return null;
+  }
+
+  respond(messages) {
+    if (this.reply) return this.reply;
+    const last = messages[messages.length - 1];
+    if (last?.role === 'tool') {
+      const results = messages.slice(messages.findLastIndex(m => m.role !== 'tool') + 1);
+      return `This is a mock reply using tool results: ${results.map(m => m.content).join(' ')}`;
+    }
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    return `This is a mock reply to: "${lastUser ? lastUser.content : ''}"`;
+  }
+
+  // One call per turn: a matching question that hasn't been answered by a tool yet
+  toolCalls(messages, tools = []) {
+    const last = messages[messages.length - 1];
+    if (this.reply || last?.role !== 'user') return [];
+    const offered = new Set(tools.map(t => t.function.name));
+    const trigger = MOCK_TOOL_TRIGGERS.find(t => offered.has(t.tool) && t.pattern.test(last.content));
+    return trigger ? [{ id: `call_mock_${messages.length}`, name: trigger.tool, arguments: '{}' }] : [];
+  }
+
+  async complete(messages, { signal, tools } = {}) {
+    signal?.throwIfAborted();
+    const toolCalls = this.toolCalls(messages, tools);
+    if (toolCalls.length) {
+      return { content: '', finishReason: 'tool_calls', toolCalls, provider: this.name, model: this.model };
+    }
+    return { content: this.respond(messages), finishReason: 'stop', toolCalls: [], provider: this.name, model: this.model };
+  }
+
+  async stream(messages, { signal, tools } = {}) {
+    const toolCalls = this.toolCalls(messages, tools);
+    const words = toolCalls.length ? [] : this.respond(messages).split(/(?<=\s)/);
+    const delayMs = this.delayMs;
+    const deltas = (async function* () {
+      for (const word of words) {
+        signal?.throwIfAborted();
+        if (delayMs) await new Promise(r => setTimeout(r, delayMs));
+        yield word;
+      }
+    })();
+    return Object.assign(deltas, {
+      provider: this.name,
+      model: this.model,
+      toolCalls,
+      finishReason: toolCalls.length ? 'tool_calls' : 'stop'
+    });
+  }
+}
+
+module.exports = { MockProvider };
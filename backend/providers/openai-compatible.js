@@ -0,0 +1,134 @@
+const { ProviderError } = require('./errors');
+const { logger } = require('../logger');
+
+// Collect a choice's tool calls as { id, name, arguments (JSON string) }
+function toToolCalls(toolCalls) {
+  return (toolCalls || []).map(call => ({
+    id: call.id,
+    name: call.function?.name || '',
+    arguments: call.function?.arguments || ''
+  }));
+}
+
+// Parse an OpenAI-style SSE body into content deltas. Tool-call fragments and
+// the finish reason are accumulated onto `meta` as they arrive.
+async function* readDeltas(body, meta = {}) {
+  meta.toolCalls = [];
+  meta.finishReason = null;
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      // Skip keep-alive comments such as ": OPENROUTER PROCESSING"
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+
+      const payload = trimmed.slice(5).trim();
+      if (payload === '[DONE]') return;
+
+      let choice;
+      try {
+        choice = JSON.parse(payload)?.choices?.[0];
+      } catch {
+        continue;
+      }
+      if (!choice) continue;
+      if (choice.finish_reason) meta.finishReason = choice.finish_reason;
+
+      // Calls arrive in pieces keyed by index: id and name first, then arguments
+      for (const part of choice.delta?.tool_calls || []) {
+        const call = meta.toolCalls[part.index ?? 0] ||= { id: '', name: '', arguments: '' };
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.name += part.function.name;
+        if (part.function?.arguments) call.arguments += part.function.arguments;
+      }
+
+      const delta = choice.delta?.content;
+      if (delta) yield delta;
+    }
+  }
+}
+
+// Any server exposing POST {baseUrl}/chat/completions (llama.cpp, Ollama, vLLM, ...)
+class OpenAICompatibleProvider {
+  constructor({ name = 'openai', baseUrl, apiKey = '', model, maxTokens = 150, temperature = 0.7, headers = {} }) {
+    this.name = name;
+    this.baseUrl = String(baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.maxTokens = maxTokens;
+    this.temperature = temperature;
+    this.headers = headers;
+  }
+
+  // Human-readable reason the provider can't be used, or null when ready
+  get configError() {
+    if (!this.baseUrl) return 'LLM base URL not configured';
+    return null;
+  }
+
+  async request(messages, { stream, signal, tools, maxTokens }) {
+    const headers = { 'Content-Type': 'application/json', ...this.headers };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.model,
+        messages,
+        max_tokens: maxTokens || this.maxTokens,
+        temperature: this.temperature,
+        stream,
+        ...(tools?.length ? { tools } : {})
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const details = await response.text();
+      logger.warn('Provider API error', { provider: this.name, model: this.model, status: response.status, details: details.slice(0, 500) });
+      throw new ProviderError(`API error: ${response.status}`, {
+        status: response.status,
+        retryAfter: response.headers.get('retry-after'),
+        details
+      });
+    }
+    return response;
+  }
+
+  // Resolve to { content, finishReason, toolCalls, provider, model } once the whole
+  // reply is ready; `tools` are OpenAI function definitions the model may call
+  // and `maxTokens` overrides the configured reply length
+  async complete(messages, { signal, tools, maxTokens } = {}) {
+    const response = await this.request(messages, { stream: false, signal, tools, maxTokens });
+    const data = await response.json();
+    const choice = data?.choices?.[0];
+    return {
+      content: choice?.message?.content || '',
+      finishReason: choice?.finish_reason || null,
+      toolCalls: toToolCalls(choice?.message?.tool_calls),
+      provider: this.name,
+      model: data?.model || this.model
+    };
+  }
+
+  // Resolve to an async iterable of text deltas, tagged with provider and model;
+  // upstream errors throw before any delta. `toolCalls` and `finishReason` are
+  // filled in once iteration has finished.
+  async stream(messages, { signal, tools } = {}) {
+    const response = await this.request(messages, { stream: true, signal, tools });
+    const deltas = { provider: this.name, model: this.model, toolCalls: [], finishReason: null };
+    const iterator = readDeltas(response.body, deltas);
+    deltas[Symbol.asyncIterator] = () => iterator;
+    return deltas;
+  }
+}
+
+module.exports = { OpenAICompatibleProvider, readDeltas };
@@ -0,0 +1,17 @@
+const { OpenAICompatibleProvider } = require('./openai-compatible');
+
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+
+// OpenRouter speaks the OpenAI protocol but always needs a key
+class OpenRouterProvider extends OpenAICompatibleProvider {
+  constructor(options) {
+    super({ name: 'openrouter', ...options, baseUrl: options.baseUrl || OPENROUTER_BASE_URL });
+  }
+
+  get configError() {
+    if (!this.apiKey) return 'API key not configured';
+    return super.configError;
+  }
+}
+
+module.exports = { OpenRouterProvider, OPENROUTER_BASE_URL };
@@ -0,0 +1,168 @@
+const { AppError, sendError } = require('./errors');
+const { envNumber } = require('./utils');
+
+// In-memory abuse protection for the public endpoints: a token bucket for
+// bursts plus a daily cap, each tracked per IP and per session.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Keys tracked per limiter; past this the least recently used one is dropped
+const MAX_KEYS = 10000;
+
+// Map.set that keeps the most recently used key last and the map under `max`
+function remember(map, key, value, max) {
+  map.delete(key);
+  map.set(key, value);
+  if (map.size > max) map.delete(map.keys().next().value);
+}
+
+// Refills `refillPerMinute` tokens a minute up to `capacity`
+class TokenBucketLimiter {
+  constructor({ capacity, refillPerMinute, now = Date.now, maxKeys = MAX_KEYS }) {
+    this.capacity = capacity;
+    this.refillPerMs = refillPerMinute / 60000;
+    this.now = now;
+    this.maxKeys = maxKeys;
+    this.buckets = new Map();
+  }
+
+  // Whether a token is available, without taking it: { ok, retryAfter } with
+  // retryAfter in seconds
+  check(key) {
+    const now = this.now();
+    const bucket = this.buckets.get(key);
+    const tokens = bucket ? Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs) : this.capacity;
+    return tokens >= 1
+      ? { ok: true, retryAfter: 0, tokens }
+      : { ok: false, retryAfter: Math.ceil((1 - tokens) / this.refillPerMs / 1000), tokens };
+  }
+
+  // Take one token if there is one; same result as check()
+  take(key) {
+    const result = this.check(key);
+    remember(this.buckets, key, { tokens: result.ok ? result.tokens - 1 : result.tokens, updatedAt: this.now() }, this.maxKeys);
+    return { ok: result.ok, retryAfter: result.retryAfter };
+  }
+
+  // Drop buckets that have refilled completely; they hold no state worth keeping
+  sweep() {
+    const now = this.now();
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs >= this.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+// Allows `limit` hits per key per UTC day
+class DailyCap {
+  constructor({ limit, now = Date.now, maxKeys = MAX_KEYS }) {
+    this.limit = limit;
+    this.now = now;
+    this.maxKeys = maxKeys;
+    this.counts = new Map();
+  }
+
+  check(key) {
+    const now = this.now();
+    const day = Math.floor(now / DAY_MS);
+    const entry = this.counts.get(key);
+    const count = entry && entry.day === day ? entry.count : 0;
+
+    if (count >= this.limit) {
+      return { ok: false, retryAfter: Math.ceil(((day + 1) * DAY_MS - now) / 1000), day, count };
+    }
+    return { ok: true, retryAfter: 0, day, count };
+  }
+
+  take(key) {
+    const { ok, retryAfter, day, count } = this.check(key);
+    if (ok) remember(this.counts, key, { day, count: count + 1 }, this.maxKeys);
+    return { ok, retryAfter };
+  }
+
+  sweep() {
+    const day = Math.floor(this.now() / DAY_MS);
+    for (const [key, entry] of this.counts) {
+      if (entry.day !== day) this.counts.delete(key);
+    }
+  }
+}
+
+function loadRateLimitConfig(env = process.env) {
+  return {
+    burst: envNumber(env.RATE_LIMIT_BURST, 5),
+    perMinute: envNumber(env.RATE_LIMIT_PER_MINUTE, 10),
+    dailyCap: envNumber(env.RATE_LIMIT_DAILY, 200),
+    maxMessageChars: envNumber(env.MAX_MESSAGE_CHARS, 2000),
+    maxHistoryMessages: envNumber(env.MAX_HISTORY_MESSAGES, 40),
+    maxBodyBytes: envNumber(env.MAX_BODY_BYTES, 64 * 1024),
+    contactDailyCap: envNumber(env.CONTACT_DAILY_LIMIT, 5)
+  };
+}
+
+// Express middleware; `keysFor(req)` (may be async) names the buckets a
+// request draws from (e.g. its IP and session). Every key must have budget
+// left, and a refused request spends none of it.
+function createRateLimiter({ burst, perMinute, dailyCap, keysFor, now = Date.now }) {
+  const bucket = new TokenBucketLimiter({ capacity: burst, refillPerMinute: perMinute, now });
+  const daily = new DailyCap({ limit: dailyCap, now });
+
+  const sweeper = setInterval(() => {
+    bucket.sweep();
+    daily.sweep();
+  }, 10 * 60 * 1000);
+  sweeper.unref();
+
+  return async function rateLimit(req, res, next) {
+    let keys;
+    try {
+      keys = (await keysFor(req)).filter(Boolean);
+    } catch (error) {
+      return next(error);
+    }
+
+    for (const key of keys) {
+      const burstResult = bucket.check(key);
+      if (!burstResult.ok) return reject(res, 'burst', burstResult.retryAfter);
+    }
+    for (const key of keys) {
+      const dailyResult = daily.check(key);
+      if (!dailyResult.ok) return reject(res, 'daily', dailyResult.retryAfter);
+    }
+    for (const key of keys) {
+      bucket.take(key);
+      daily.take(key);
+    }
+    next();
+  };
+}
+
+function reject(res, scope, retryAfter) {
+  sendError(res, new AppError('RATE_LIMITED', {
+    message: scope === 'daily'
+      ? 'Daily message limit reached. Please come back tomorrow.'
+      : 'Too many messages. Please slow down a little.',
+    retryAfter,
+    data: { scope }
+  }));
+}
+
+// Reject declared-oversized bodies before express.json() buffers them
+function rejectLargeBodies(maxBytes) {
+  return function bodySizeGuard(req, res, next) {
+    const length = Number(req.headers['content-length']);
+    if (Number.isFinite(length) && length > maxBytes) {
+      return sendError(res, new AppError('PAYLOAD_TOO_LARGE', { message: `Request body too large (max ${maxBytes} bytes).` }));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  TokenBucketLimiter,
+  DailyCap,
+  createRateLimiter,
+  loadRateLimitConfig,
+  rejectLargeBodies
+};
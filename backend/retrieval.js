@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+
+// Offline retrieval over the knowledge/ folder: documents are split into
+// heading-sized chunks and ranked with BM25, so no embedding service is needed.
+
+const MAX_CHUNK_CHARS = 800;
+const BM25_K1 = 1.5;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does',
+  'for', 'from', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'in', 'is', 'it',
+  'its', 'me', 'my', 'of', 'on', 'or', 'she', 'so', 'tell', 'that', 'the', 'their',
+  'them', 'they', 'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who',
+  'why', 'with', 'you', 'your', 'about'
+]);
+
+function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t && !STOPWORDS.has(t));
+}
+
+// Split long text on paragraph boundaries so each chunk stays prompt-sized
+function splitLong(text) {
+  if (text.length <= MAX_CHUNK_CHARS) return [text];
+  const pieces = [];
+  let current = '';
+  for (const para of text.split(/\n\s*\n/)) {
+    if (current && current.length + para.length > MAX_CHUNK_CHARS) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    current += para + '\n\n';
+  }
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+}
+
+// Markdown: the first "# " heading is the title, every heading starts a section
+function parseMarkdown(source, fallbackTitle) {
+  let title = fallbackTitle;
+  const sections = [];
+  let heading = '';
+  let lines = [];
+
+  const flush = () => {
+    const text = lines.join('\n').trim();
+    if (text) sections.push({ heading, text });
+    lines = [];
+  };
+
+  for (const line of source.split(/\r?\n/)) {
+    const match = /^(#{1,6})\s+(.*)$/.exec(line);
+    if (match) {
+      flush();
+      if (match[1].length === 1 && title === fallbackTitle) title = match[2].trim();
+      heading = match[2].trim();
+    } else {
+      lines.push(line);
+    }
+  }
+  flush();
+  return { title, sections };
+}
+
+// JSON: { title, content } or { title, sections: [{ heading, text }] }
+function parseJson(source, fallbackTitle) {
+  const doc = JSON.parse(source);
+  const title = doc.title || fallbackTitle;
+  if (Array.isArray(doc.sections)) {
+    return { title, sections: doc.sections.filter(s => s && s.text) };
+  }
+  return { title, sections: doc.content ? [{ heading: '', text: String(doc.content) }] : [] };
+}
+
+function loadDocuments(dir) {
+  let files;
+  try {
+    files = fs.readdirSync(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const docs = [];
+  for (const file of files.sort()) {
+    const ext = path.extname(file).toLowerCase();
+    if (ext !== '.md' && ext !== '.json') continue;
+    if (file.toLowerCase() === 'readme.md') continue; // folder docs, not knowledge
+
+    const id = path.basename(file, ext);
+    const source = fs.readFileSync(path.join(dir, file), 'utf8');
+    const parsed = ext === '.md' ? parseMarkdown(source, id) : parseJson(source, id);
+    docs.push({ id, file, ...parsed });
+  }
+  return docs;
+}
+
+class KnowledgeBase {
+  constructor(docs = []) {
+    this.chunks = [];
+    for (const doc of docs) {
+      for (const section of doc.sections) {
+        for (const text of splitLong(section.text)) {
+          const tokens = tokenize(`${section.heading} ${text}`);
+          if (tokens.length === 0) continue;
+          this.chunks.push({ docId: doc.id, title: doc.title, heading: section.heading, text, tokens });
+        }
+      }
+    }
+
+    // Document frequencies and average length for BM25
+    this.df = new Map();
+    let totalLength = 0;
+    for (const chunk of this.chunks) {
+      totalLength += chunk.tokens.length;
+      chunk.tf = new Map();
+      for (const token of chunk.tokens) {
+        chunk.tf.set(token, (chunk.tf.get(token) || 0) + 1);
+      }
+      for (const token of chunk.tf.keys()) {
+        this.df.set(token, (this.df.get(token) || 0) + 1);
+      }
+    }
+    this.avgLength = this.chunks.length ? totalLength / this.chunks.length : 0;
+  }
+
+  get size() {
+    return this.chunks.length;
+  }
+
+  search(query, { topK = 3 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.chunks.length === 0) return [];
+
+    const n = this.chunks.length;
+    const scored = [];
+    for (const chunk of this.chunks) {
+      let score = 0;
+      for (const term of terms) {
+        const tf = chunk.tf.get(term);
+        if (!tf) continue;
+        const df = this.df.get(term);
+        const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+        const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * chunk.tokens.length / this.avgLength);
+        score += idf * (tf * (BM25_K1 + 1)) / norm;
+      }
+      if (score > 0) scored.push({ chunk, score });
+    }
+
+    return scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+      .map(({ chunk, score }) => ({
+        docId: chunk.docId,
+        title: chunk.title,
+        heading: chunk.heading,
+        text: chunk.text,
+        score
+      }));
+  }
+}
+
+function loadKnowledgeBase(dir) {
+  return new KnowledgeBase(loadDocuments(dir));
+}
+
+module.exports = {
+  KnowledgeBase,
+  loadKnowledgeBase,
+  tokenize
+};
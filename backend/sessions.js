@@ -0,0 +1,197 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { JsonFile } = require('./utils');
+
+// Session ids are UUIDs; anything else is rejected before touching a store
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isValidId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+function newSession({ persona = null, userName = 'Guest', language = 'en', messages = [] } = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    persona,
+    userName,
+    language,
+    createdAt: now,
+    updatedAt: now,
+    messages: messages.map(m => ({ role: m.role, content: m.content, at: m.at || now }))
+  };
+}
+
+// Keeps sessions in process memory; they are lost on restart. Past
+// `maxSessions` the least recently active session is dropped.
+class MemorySessionStore {
+  constructor({ maxSessions = 1000 } = {}) {
+    this.maxSessions = maxSessions;
+    this.sessions = new Map();
+  }
+
+  async create(data) {
+    const session = newSession(data);
+    this.sessions.set(session.id, session);
+
+    // Map keeps insertion order and touch() moves active sessions to the end,
+    // so the first key is the one idle longest
+    if (this.sessions.size > this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+    return structuredClone(session);
+  }
+
+  async get(id) {
+    if (!isValidId(id)) return null;
+    const session = this.sessions.get(id);
+    return session ? structuredClone(session) : null;
+  }
+
+  // The session, moved to the back of the eviction order
+  touch(id) {
+    const session = this.sessions.get(id);
+    if (!session) return null;
+    this.sessions.delete(id);
+    this.sessions.set(id, session);
+    return session;
+  }
+
+  async update(id, changes) {
+    const session = this.touch(id);
+    if (!session) return null;
+    Object.assign(session, changes, { updatedAt: new Date().toISOString() });
+    return structuredClone(session);
+  }
+
+  async append(id, ...messages) {
+    const session = this.touch(id);
+    if (!session) return null;
+    const now = new Date().toISOString();
+    session.messages.push(...messages.map(m => ({ role: m.role, content: m.content, at: m.at || now })));
+    session.updatedAt = now;
+    return structuredClone(session);
+  }
+
+  // Most recently active first; `filter` applies before `limit`
+  async list({ limit = 50, filter = () => true } = {}) {
+    return [...this.sessions.values()]
+      .filter(filter)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(0, limit)
+      .map(session => structuredClone(session));
+  }
+}
+
+// Stores one JSON file per session so history survives restarts. Changes to
+// a session are queued and written through a temp file (see JsonFile), so
+// concurrent turns can't drop each other's messages and a crash can't leave
+// half a session behind.
+class FileSessionStore {
+  constructor({ dir }) {
+    this.dir = dir;
+    // Only sessions with writes in flight have an entry
+    this.files = new Map();
+  }
+
+  file(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  // Run `task(json)` on the session's JsonFile; the entry goes once idle
+  async withFile(id, task) {
+    let entry = this.files.get(id);
+    if (!entry) {
+      entry = { json: new JsonFile(this.file(id)), pending: 0 };
+      this.files.set(id, entry);
+    }
+    entry.pending++;
+    try {
+      return await task(entry.json);
+    } finally {
+      if (--entry.pending === 0) this.files.delete(id);
+    }
+  }
+
+  // Read-modify-write of one session; null when it doesn't exist
+  async change(id, edit) {
+    if (!isValidId(id)) return null;
+    try {
+      return await this.withFile(id, json => json.update(session => {
+        edit(session);
+        session.id = id;
+        session.updatedAt = new Date().toISOString();
+        return session;
+      }));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async create(data) {
+    const session = newSession(data);
+    return this.withFile(session.id, json => json.write(session));
+  }
+
+  async get(id) {
+    if (!isValidId(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.file(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async update(id, changes) {
+    return this.change(id, session => Object.assign(session, changes));
+  }
+
+  async append(id, ...messages) {
+    const now = new Date().toISOString();
+    return this.change(id, session => {
+      session.messages.push(...messages.map(m => ({ role: m.role, content: m.content, at: m.at || now })));
+    });
+  }
+
+  // Most recently written first; `filter` applies before `limit`. Files are
+  // parsed newest first, `limit` at a time, until enough sessions match.
+  async list({ limit = 50, filter = () => true } = {}) {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const ids = files.filter(f => f.endsWith('.json')).map(f => f.slice(0, -5)).filter(isValidId);
+    const stats = await Promise.all(ids.map(async id => ({ id, mtime: (await fs.stat(this.file(id))).mtimeMs })));
+    const newest = stats.sort((a, b) => b.mtime - a.mtime);
+    const found = [];
+    for (let start = 0; start < newest.length && found.length < limit; start += limit) {
+      const batch = await Promise.all(newest.slice(start, start + limit).map(({ id }) => this.get(id)));
+      found.push(...batch.filter(session => session && filter(session)));
+    }
+    return found.slice(0, limit);
+  }
+}
+
+// Pick a store from SESSION_STORE ("memory" or "file")
+function createSessionStore(env = process.env) {
+  if (env.SESSION_STORE === 'file') {
+    return new FileSessionStore({
+      dir: env.SESSION_DIR || path.join(__dirname, 'data', 'sessions')
+    });
+  }
+  return new MemorySessionStore();
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore,
+  isValidId
+};
@@ -0,0 +1,86 @@
+// Follow-up questions returned with each /chat reply. They are picked from the
+// knowledge base and profile sections rather than generated, so they cost no
+// extra model call and always point at something the bot can actually answer.
+
+const MAX_SUGGESTIONS = 3;
+
+// Profile sections offered as questions of their own
+const SECTIONS = [
+  { id: 'work', field: 'workExperience' },
+  { id: 'skills', field: 'technicalSkills' },
+  { id: 'education', field: 'education' },
+  { id: 'hobbies', field: 'hobbies' }
+];
+
+const TEMPLATES = {
+  en: {
+    work: 'What work experience does {owner} have?',
+    skills: "What are {owner}'s strongest technical skills?",
+    education: 'Where did {owner} study?',
+    hobbies: 'What does {owner} enjoy doing outside work?',
+    heading: 'Tell me more about {topic}.'
+  },
+  my: {
+    work: '{owner} မှာ ဘယ်လို အလုပ်အတွေ့အကြုံတွေ ရှိလဲ?',
+    skills: '{owner} ရဲ့ အားအသာဆုံး နည်းပညာ ကျွမ်းကျင်မှုတွေက ဘာတွေလဲ?',
+    education: '{owner} ဘယ်မှာ ပညာသင်ခဲ့လဲ?',
+    hobbies: '{owner} အလုပ်ပြင်ပမှာ ဘာလုပ်ရတာ ကြိုက်လဲ?',
+    heading: '{topic} အကြောင်း ပိုပြောပြပါ။'
+  }
+};
+
+function fill(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => vars[name] ?? match);
+}
+
+// "FRI Group — local clothing brand" reads better as just "FRI Group"
+function topicName(heading) {
+  return heading.split(/\s+[—–-]\s+/)[0].trim();
+}
+
+// The persona's knowledge document that best matches a profile section's
+// entries (null if none does), so each persona's own files count, whatever
+// they are called
+function coveringDoc(knowledge, items) {
+  return knowledge.search(items.join('\n'), { topK: 1 })[0]?.docId ?? null;
+}
+
+// `chunks` are the ones retrieved for this turn; `history` includes the new turn.
+// Headings near what was just answered come first, then untouched profile sections.
+function suggestFollowUps({ knowledge, profile, chunks = [], history = [], language = 'en', limit = MAX_SUGGESTIONS }) {
+  const templates = TEMPLATES[language] || TEMPLATES.en;
+  const discussed = history.map(m => m.content).join('\n').toLowerCase();
+  const usedDocs = new Set(chunks.map(c => c.docId));
+  const usedHeadings = new Set(chunks.map(c => `${c.docId}#${c.heading}`));
+  const suggestions = [];
+
+  // Sibling sections of the documents this answer drew on
+  const seen = new Set();
+  for (const chunk of knowledge.chunks) {
+    const key = `${chunk.docId}#${chunk.heading}`;
+    if (!usedDocs.has(chunk.docId) || !chunk.heading || chunk.heading === chunk.title) continue;
+    if (usedHeadings.has(key) || seen.has(key)) continue;
+    seen.add(key);
+
+    const topic = topicName(chunk.heading);
+    if (discussed.includes(topic.toLowerCase())) continue;
+    suggestions.push(fill(templates.heading, { topic }));
+  }
+  // Leave room for at least one different section
+  suggestions.splice(limit - 1);
+
+  for (const section of SECTIONS) {
+    if (suggestions.length >= limit) break;
+    if (!profile[section.field]?.length) continue;
+    if (usedDocs.has(coveringDoc(knowledge, profile[section.field]))) continue;
+    const question = fill(templates[section.id], { owner: profile.name });
+    if (discussed.includes(question.toLowerCase())) continue; // already asked
+    suggestions.push(question);
+  }
+
+  return suggestions.slice(0, limit);
+}
+
+module.exports = {
+  suggestFollowUps
+};
@@ -0,0 +1,274 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeOpenRouter, sendJson, replyWith, startApp, postChat, parseEvents } = require('./helpers');
+
+// /chat, / and /health against a local fake OpenRouter. Each test gets a
+// fresh app so model cooldowns and rate limits don't leak between them.
+
+let upstream;
+let server;
+let handler;
+
+beforeEach(async () => {
+  handler = replyWith('Hello from the fake model.');
+  upstream = await startFakeOpenRouter((...args) => handler(...args));
+});
+
+afterEach(async () => {
+  await server?.close();
+  await upstream.close();
+  server = null;
+});
+
+describe('health checks', () => {
+  test('GET / reports the backend is running', async () => {
+    server = await startApp(upstream.url);
+    const res = await fetch(`${server.url}/`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.status, 'Backend is running');
+    assert.ok(!Number.isNaN(Date.parse(body.timestamp)));
+  });
+
+  test('GET /health answers OK with a request id', async () => {
+    server = await startApp(upstream.url);
+    const res = await fetch(`${server.url}/health`, { headers: { 'X-Request-Id': 'probe-1' } });
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), 'OK');
+    assert.equal(res.headers.get('x-request-id'), 'probe-1');
+  });
+});
+
+describe('POST /chat', () => {
+  test('returns the model reply as JSON', async () => {
+    server = await startApp(upstream.url);
+    const res = await postChat(server.url, { message: 'Hi there', userName: 'Ana' });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.reply, 'Hello from the fake model.');
+    assert.equal(body.provider, 'openrouter');
+    assert.equal(body.model, 'test/model');
+    assert.deepEqual(body.conversation.map(m => m.role), ['user', 'assistant']);
+
+    const [{ body: sent, headers }] = upstream.requests;
+    assert.equal(headers.authorization, 'Bearer test-key');
+    assert.equal(sent.model, 'test/model');
+    assert.equal(sent.stream, false);
+    assert.equal(sent.tools, undefined);
+    assert.equal(sent.messages[0].role, 'system');
+    assert.match(sent.messages[0].content, /Ana/);
+    assert.deepEqual(sent.messages.at(-1), { role: 'user', content: 'Hi there' });
+  });
+
+  test('streams deltas and a done event over SSE', async () => {
+    server = await startApp(upstream.url);
+    const res = await postChat(server.url, { message: 'Hi', stream: true });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/event-stream/);
+
+    const events = parseEvents(await res.text());
+    const deltas = events.filter(e => e.event === 'delta').map(e => e.data.content);
+    assert.ok(deltas.length > 1);
+    assert.equal(deltas.join(''), 'Hello from the fake model.');
+    const done = events.at(-1);
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.reply, 'Hello from the fake model.');
+    assert.equal(upstream.requests[0].body.stream, true);
+  });
+
+  test('keeps history in a session between turns', async () => {
+    server = await startApp(upstream.url);
+    const created = await fetch(`${server.url}/sessions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ userName: 'Ana' })
+    });
+    const { id } = await created.json();
+
+    await postChat(server.url, { message: 'First question', sessionId: id });
+    const res = await postChat(server.url, { message: 'Second question', sessionId: id });
+    assert.equal((await res.json()).sessionId, id);
+
+    const second = upstream.requests[1].body.messages.map(m => m.content);
+    assert.deepEqual(second.slice(1), ['First question', 'Hello from the fake model.', 'Second question']);
+  });
+
+  test('keeps the part of a stream the client saw when it is cut off or stopped', async () => {
+    // Two words, then the upstream either drops the connection or stalls
+    let stall = false;
+    handler = (body, req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const word of ['Half ', 'an answer']) {
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: word } }] })}\n\n`);
+      }
+      if (!stall) setTimeout(() => res.destroy(), 20);
+    };
+    server = await startApp(upstream.url);
+    const session = async () => (await (await fetch(`${server.url}/sessions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({})
+    })).json()).id;
+    const transcript = async id => (await (await fetch(`${server.url}/sessions/${id}`)).json()).messages.map(m => m.content);
+
+    const cut = await session();
+    const events = parseEvents(await (await postChat(server.url, { message: 'Hi', sessionId: cut, stream: true })).text());
+    assert.equal(events.at(-1).data.code, 'STREAM_INTERRUPTED');
+    assert.deepEqual(await transcript(cut), ['Hi', 'Half an answer']);
+
+    stall = true;
+    const stopped = await session();
+    const controller = new AbortController();
+    const res = await fetch(`${server.url}/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Hi again', sessionId: stopped, stream: true }),
+      signal: controller.signal
+    });
+    const reader = res.body.getReader();
+    let seen = '';
+    while (!seen.includes('an answer')) seen += new TextDecoder().decode((await reader.read()).value);
+    controller.abort();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.deepEqual(await transcript(stopped), ['Hi again', 'Half an answer']);
+  });
+
+  test('rejects a missing message without calling the model', async () => {
+    server = await startApp(upstream.url);
+    const res = await postChat(server.url, { message: '' });
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.equal(body.code, 'INVALID_INPUT');
+    assert.equal(body.requestId, res.headers.get('x-request-id'));
+    assert.equal(upstream.requests.length, 0);
+  });
+
+  test('passes an upstream 429 on as RATE_LIMITED with Retry-After', async () => {
+    handler = (body, req, res) => sendJson(res, 429, { error: { message: 'slow down' } }, { 'Retry-After': '7' });
+    server = await startApp(upstream.url);
+    const res = await postChat(server.url, { message: 'Hi' });
+    assert.equal(res.status, 429);
+    assert.equal(res.headers.get('retry-after'), '7');
+    const body = await res.json();
+    assert.equal(body.code, 'RATE_LIMITED');
+    assert.equal(body.retryAfter, 7);
+    assert.doesNotMatch(JSON.stringify(body), /slow down/);
+  });
+
+  test('reports an upstream 500 as PROVIDER_DOWN and cools the model down', async () => {
+    handler = (body, req, res) => sendJson(res, 500, { error: { message: 'internal upstream trace' } });
+    server = await startApp(upstream.url);
+
+    const res = await postChat(server.url, { message: 'Hi' });
+    assert.equal(res.status, 502);
+    const body = await res.json();
+    assert.equal(body.code, 'PROVIDER_DOWN');
+    assert.doesNotMatch(JSON.stringify(body), /internal upstream trace/);
+
+    // The only model is now cooling down, so the next turn is not sent upstream
+    const again = await postChat(server.url, { message: 'Hi again' });
+    assert.equal(again.status, 429);
+    assert.ok(Number(again.headers.get('retry-after')) > 0);
+    assert.equal(upstream.requests.length, 1);
+  });
+
+  test('falls back to the next model after a 500', async () => {
+    handler = (body, req, res) => body.model === 'test/model'
+      ? sendJson(res, 500, {})
+      : replyWith('Backup here.', { model: body.model })(body, req, res);
+    server = await startApp(upstream.url, { LLM_FALLBACKS: 'test/backup' });
+
+    const res = await postChat(server.url, { message: 'Hi' });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.reply, 'Backup here.');
+    assert.equal(body.model, 'test/backup');
+    assert.deepEqual(upstream.requests.map(r => r.body.model), ['test/model', 'test/backup']);
+  });
+
+  test('stops offering tools to a model once it has rejected them', async () => {
+    const answer = replyWith('Hello without tools.');
+    handler = (body, req, res) => (body.tools
+      ? sendJson(res, 404, { error: { message: 'No endpoints found that support tool use' } })
+      : answer(body, req, res));
+    server = await startApp(upstream.url, { LLM_TOOLS: 'on' });
+
+    assert.equal((await (await postChat(server.url, { message: 'Hi' })).json()).reply, 'Hello without tools.');
+    assert.equal((await (await postChat(server.url, { message: 'Hi again' })).json()).reply, 'Hello without tools.');
+    assert.deepEqual(upstream.requests.map(r => Boolean(r.body.tools)), [true, false, false]);
+  });
+
+  test('stops offering tools only to the fallback model that rejected them', async () => {
+    let primaryCalls = 0;
+    const answer = replyWith('Hello.');
+    handler = (body, req, res) => {
+      if (body.model === 'test/model' && primaryCalls++ === 0) return sendJson(res, 429, {}, { 'Retry-After': '0' });
+      if (body.model === 'test/backup' && body.tools) {
+        return sendJson(res, 404, { error: { message: 'No endpoints found that support tool use' } });
+      }
+      return answer(body, req, res);
+    };
+    server = await startApp(upstream.url, { LLM_TOOLS: 'on', LLM_FALLBACKS: 'test/backup' });
+
+    assert.equal((await postChat(server.url, { message: 'Hi' })).status, 200);
+    assert.equal((await postChat(server.url, { message: 'Hi again' })).status, 200);
+    assert.deepEqual(upstream.requests.map(r => [r.body.model, Boolean(r.body.tools)]), [
+      ['test/model', true],
+      ['test/backup', true],
+      ['test/model', false],
+      ['test/model', true]
+    ]);
+  });
+
+  test('keeps offering tools after a 400 that is not about them', async () => {
+    let calls = 0;
+    const answer = replyWith('Hello.');
+    handler = (body, req, res) => (calls++ === 0
+      ? sendJson(res, 400, { error: { message: "This model's maximum context length is 8192 tokens" } })
+      : answer(body, req, res));
+    server = await startApp(upstream.url, { LLM_TOOLS: 'on' });
+
+    assert.notEqual((await postChat(server.url, { message: 'Hi' })).status, 200);
+    assert.equal((await postChat(server.url, { message: 'Hi again' })).status, 200);
+    assert.deepEqual(upstream.requests.map(r => Boolean(r.body.tools)), [true, true]);
+  });
+
+  test('answers EMPTY_REPLY when the model returns no choices', async () => {
+    handler = (body, req, res) => sendJson(res, 200, { model: 'test/model', choices: [] });
+    server = await startApp(upstream.url);
+    const res = await postChat(server.url, { message: 'Hi' });
+    assert.equal(res.status, 502);
+    assert.equal((await res.json()).code, 'EMPTY_REPLY');
+  });
+
+  test('reports EMPTY_REPLY in-band when a stream carries no text', async () => {
+    handler = (body, req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end('data: {"choices":[]}\n\ndata: [DONE]\n\n');
+    };
+    server = await startApp(upstream.url);
+    const res = await postChat(server.url, { message: 'Hi', stream: true });
+    const events = parseEvents(await res.text());
+    assert.deepEqual(events.map(e => e.event), ['error']);
+    assert.equal(events[0].data.code, 'EMPTY_REPLY');
+  });
+
+  test('gives up on a model that does not answer within LLM_TIMEOUT_MS', async () => {
+    handler = () => {}; // never responds; the fake server drops it on close
+    server = await startApp(upstream.url, { LLM_TIMEOUT_MS: '200' });
+    const started = Date.now();
+    const res = await postChat(server.url, { message: 'Hi' });
+    assert.ok(Date.now() - started < 5000);
+    assert.equal(res.status, 504);
+    assert.equal((await res.json()).code, 'PROVIDER_DOWN');
+  });
+
+  test('returns a JSON error, not a stream, when the upstream fails before streaming', async () => {
+    handler = (body, req, res) => sendJson(res, 429, {}, { 'Retry-After': '3' });
+    server = await startApp(upstream.url);
+    const res = await postChat(server.url, { message: 'Hi' }, { Accept: 'text/event-stream' });
+    assert.equal(res.status, 429);
+    assert.match(res.headers.get('content-type'), /application\/json/);
+    assert.equal((await res.json()).retryAfter, 3);
+  });
+});
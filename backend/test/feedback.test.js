@@ -0,0 +1,146 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startFakeOpenRouter, replyWith, startApp } = require('./helpers');
+const { validateFeedback, FeedbackStore, summarizeFeedback } = require('../feedback');
+
+// Reply feedback: validation, the file store, the summary behind the admin
+// view, and POST /feedback -> GET /admin/api/feedback end to end.
+
+const valid = { messageId: 'msg-1', rating: 'down', question: 'How old is he?', answer: 'He is 40.' };
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedback-test-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('validateFeedback', () => {
+  test('accepts a rating and trims the fields', () => {
+    const { feedback, errors } = validateFeedback({ ...valid, comment: '  He is younger.  ', model: 'test/model' });
+    assert.equal(errors, undefined);
+    assert.equal(feedback.comment, 'He is younger.');
+    assert.equal(feedback.model, 'test/model');
+  });
+
+  test('lists everything that is wrong', () => {
+    const { errors } = validateFeedback({ messageId: 'no spaces allowed', rating: 'meh', answer: 'x'.repeat(9000) });
+    assert.deepEqual(errors, [
+      'messageId is required',
+      'rating must be "up" or "down"',
+      'question is required',
+      'answer is too long (max 8000 characters)'
+    ]);
+  });
+});
+
+describe('FeedbackStore', () => {
+  test('keeps one entry per reply, replacing it when rated again', async () => {
+    const store = new FeedbackStore({ file: path.join(dir, 'store', 'feedback.json') });
+    const first = await store.record({ ...valid, rating: 'up' });
+    await store.record({ ...valid, messageId: 'msg-2' });
+    const again = await store.record({ ...valid, comment: 'Wrong age' });
+
+    const entries = await store.list();
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].rating, 'down');
+    assert.equal(entries[0].comment, 'Wrong age');
+    assert.equal(again.createdAt, first.createdAt);
+  });
+
+  test('keeps every rating sent at once', async () => {
+    const store = new FeedbackStore({ file: path.join(dir, 'store', 'concurrent.json') });
+    await Promise.all(['a', 'b', 'c', 'd'].map(id => store.record({ ...valid, messageId: id })));
+    assert.deepEqual((await store.list()).map(e => e.messageId), ['a', 'b', 'c', 'd']);
+  });
+});
+
+describe('summarizeFeedback', () => {
+  const entry = (messageId, question, rating, extra = {}) => ({
+    messageId,
+    question,
+    rating,
+    answer: `Answer ${messageId}`,
+    model: 'test/model',
+    comment: '',
+    updatedAt: `2026-01-01T00:00:0${messageId}.000Z`,
+    ...extra
+  });
+
+  test('ranks questions by net thumbs down and groups similar wording', () => {
+    const summary = summarizeFeedback([
+      entry('1', 'How old is he?', 'down', { comment: 'Age is wrong' }),
+      entry('2', 'how old is he', 'down', { model: 'test/backup' }),
+      entry('3', 'What are his skills?', 'down'),
+      entry('4', 'What are his skills?', 'up'),
+      entry('5', 'Where did he study?', 'up')
+    ]);
+
+    assert.deepEqual(summary.totals, { up: 2, down: 3, total: 5 });
+    assert.deepEqual(summary.worst.map(q => [q.question, q.down, q.up]), [
+      ['How old is he?', 2, 0],
+      ['What are his skills?', 1, 1]
+    ]);
+    assert.deepEqual(summary.worst[0].comments.map(c => c.comment), ['Age is wrong']);
+    assert.deepEqual(summary.worst[0].lastDownAnswer, { answer: 'Answer 2', model: 'test/backup' });
+    assert.deepEqual(summary.models.map(m => [m.model, m.down, m.up]), [['test/model', 2, 2], ['test/backup', 1, 0]]);
+  });
+});
+
+describe('POST /feedback', () => {
+  let upstream;
+  let server;
+  const file = () => path.join(dir, 'api-feedback.json');
+  const post = body => fetch(`${server.url}/feedback`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  before(async () => {
+    upstream = await startFakeOpenRouter(replyWith('unused'));
+    server = await startApp(upstream.url, { FEEDBACK_FILE: file(), ADMIN_PASSWORD: 'secret' });
+  });
+
+  after(async () => {
+    await server.close();
+    await upstream.close();
+  });
+
+  test('stores a rating and shows it on the admin summary', async () => {
+    const res = await post({ ...valid, sessionId: 'not-a-session', language: 'my' });
+    assert.equal(res.status, 201);
+    assert.deepEqual(await res.json(), { ok: true, messageId: 'msg-1', rating: 'down' });
+
+    const [stored] = JSON.parse(fs.readFileSync(file(), 'utf8'));
+    assert.equal(stored.sessionId, null);
+    assert.equal(stored.language, 'my');
+
+    const summary = await fetch(`${server.url}/admin/api/feedback`, {
+      headers: { Authorization: `Basic ${Buffer.from('owner:secret').toString('base64')}` }
+    });
+    assert.equal(summary.status, 200);
+    const { worst, totals } = await summary.json();
+    assert.equal(totals.down, 1);
+    assert.equal(worst[0].question, 'How old is he?');
+  });
+
+  test('rejects an invalid rating with the validation details', async () => {
+    const res = await post({ ...valid, rating: 'sideways' });
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.equal(body.code, 'INVALID_INPUT');
+    assert.deepEqual(body.details, ['rating must be "up" or "down"']);
+  });
+
+  test('keeps the summary behind the admin password', async () => {
+    const res = await fetch(`${server.url}/admin/api/feedback`);
+    assert.equal(res.status, 401);
+  });
+});
@@ -0,0 +1,139 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, ok } = require('./page');
+
+// Per-message actions: rows and the saved conversation stay matched by message
+// id through copy, regenerate, edit-and-resend and delete.
+
+const contents = conv => conv.messages.map(m => m.content);
+
+// Two finished exchanges: Q1 -> "One.", Q2 -> "Two."
+async function chatWithTwoTurns(moreReplies = []) {
+  const page = loadPage([ok('One.'), ok('Two.'), ...moreReplies]);
+  await page.start();
+  await page.send('Q1');
+  await page.send('Q2');
+  return page;
+}
+
+function rowFor(page, content) {
+  const { messages } = page.saved();
+  const id = messages.find(m => m.content === content).id;
+  return page.window.document.querySelector(`#msgs .row[data-msg-id="${id}"]:not(.sources)`);
+}
+
+const button = (row, key) => row.querySelector(`.msg-action[data-i18n-title="${key}"]`);
+
+test('each rendered turn carries the id of its saved message', async () => {
+  const page = await chatWithTwoTurns();
+  const { messages } = page.saved();
+  const rowIds = [...page.window.document.querySelectorAll('#msgs .row.user, #msgs .row.ai')].map(row => row.dataset.msgId);
+  assert.deepEqual(rowIds, messages.map(m => m.id));
+  assert.equal(new Set(rowIds).size, 4);
+});
+
+test('only the newest reply offers regenerate', async () => {
+  const page = await chatWithTwoTurns();
+  const visible = [...page.window.document.querySelectorAll('.msg-regenerate')].filter(btn => !btn.hidden);
+  assert.equal(visible.length, 1);
+  assert.equal(visible[0].closest('.row'), rowFor(page, 'Two.'));
+});
+
+test('regenerate asks the last question again and replaces the reply', async () => {
+  const page = await chatWithTwoTurns([ok('Two, again.')]);
+  button(rowFor(page, 'Two.'), 'msg.regenerate').click();
+  await page.settle();
+
+  assert.deepEqual(contents(page.saved()), ['Q1', 'One.', 'Q2', 'Two, again.']);
+  assert.equal(page.rows('user').length, 2);
+  assert.equal(page.rows('ai').some(text => text.includes('Two.')), false);
+  assert.equal(page.chatBodies().at(-1).message, 'Q2');
+
+  // The old backend session still had "Two."; a new one is seeded without it
+  const seed = page.requests.filter(r => r.path === '/sessions').at(-1).body.messages;
+  assert.deepEqual(seed.map(m => m.content), ['Q1', 'One.']);
+  assert.equal(page.chatBodies().at(-1).sessionId, page.saved().sessionId);
+});
+
+test('editing a question resends it and drops everything after it', async () => {
+  const page = await chatWithTwoTurns([ok('Edited answer.')]);
+  const { document } = page.window;
+  button(rowFor(page, 'Q1'), 'msg.edit').click();
+
+  const form = document.querySelector('.edit-form');
+  assert.equal(form.querySelector('textarea').value, 'Q1');
+  form.querySelector('textarea').value = 'Q1, reworded';
+  form.requestSubmit();
+  await page.settle();
+
+  assert.deepEqual(contents(page.saved()), ['Q1, reworded', 'Edited answer.']);
+  assert.equal(document.querySelector('.edit-form'), null);
+  assert.equal(page.rows('user').length, 1);
+  assert.equal(page.rows('ai').length, 1);
+  assert.equal(page.chatBodies().at(-1).message, 'Q1, reworded');
+});
+
+test('cancelling an edit leaves the chat alone', async () => {
+  const page = await chatWithTwoTurns();
+  const row = rowFor(page, 'Q2');
+  button(row, 'msg.edit').click();
+  assert.equal(row.hidden, true);
+
+  page.window.document.querySelector('.edit-form .secondary').click();
+  assert.equal(row.hidden, false);
+  assert.equal(page.window.document.querySelector('.edit-form'), null);
+  assert.deepEqual(contents(page.saved()), ['Q1', 'One.', 'Q2', 'Two.']);
+});
+
+test('deleting a reply removes its question too and reseeds the session', async () => {
+  const page = await chatWithTwoTurns([ok('Three.')]);
+  const oldSession = page.saved().sessionId;
+  button(rowFor(page, 'One.'), 'msg.delete').click();
+
+  assert.deepEqual(contents(page.saved()), ['Q2', 'Two.']);
+  assert.equal(page.saved().sessionId, null);
+  assert.deepEqual(page.rows('user').map(text => text.includes('Q2')), [true]);
+
+  await page.send('Q3');
+  const seed = page.requests.filter(r => r.path === '/sessions').at(-1).body.messages;
+  assert.deepEqual(seed.map(m => m.content), ['Q2', 'Two.']);
+  assert.notEqual(page.saved().sessionId, oldSession);
+});
+
+test('nothing is deleted when the confirmation is declined', async () => {
+  const page = await chatWithTwoTurns();
+  page.window.confirm = () => false;
+  button(rowFor(page, 'Q1'), 'msg.delete').click();
+  assert.deepEqual(contents(page.saved()), ['Q1', 'One.', 'Q2', 'Two.']);
+});
+
+test('copy puts the raw message text on the clipboard', async () => {
+  const page = loadPage([ok('**Bold** answer.')]);
+  const copied = [];
+  Object.defineProperty(page.window.navigator, 'clipboard', { value: { writeText: async text => { copied.push(text); } } });
+  await page.start();
+  await page.send('Hi');
+
+  button(rowFor(page, '**Bold** answer.'), 'msg.copy').click();
+  button(rowFor(page, 'Hi'), 'msg.copy').click();
+  await page.settle();
+  assert.deepEqual(copied, ['**Bold** answer.', 'Hi']);
+});
+
+test('chats saved before message ids get ids when opened', async () => {
+  const conv = {
+    id: 'conv-1',
+    title: 'Old chat',
+    createdAt: '2025-01-01T00:00:00.000Z',
+    updatedAt: '2025-01-01T00:00:00.000Z',
+    sessionId: null,
+    messages: [{ role: 'user', content: 'Old question' }, { role: 'assistant', content: 'Old answer' }]
+  };
+  const page = loadPage([], { storage: { chatConversations: JSON.stringify([conv]), activeConversationId: 'conv-1' } });
+  await page.start();
+
+  // The ids are saved with the chat; deleting needs them to find both rows
+  button(rowFor(page, 'Old answer'), 'msg.delete').click();
+  assert.deepEqual(page.saved().messages, []);
+  assert.equal(page.rows('user').length + page.rows('ai').length, 0);
+});
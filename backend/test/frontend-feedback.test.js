@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, json, ok } = require('./page');
+
+// Thumbs up/down on AI rows: what POST /feedback receives and how the rating
+// is kept on the saved message.
+
+const accepted = body => json({ ok: true, messageId: body.messageId, rating: body.rating }, { status: 201 });
+
+async function ratedChat(routes = { '/feedback': accepted }) {
+  const page = loadPage([ok('He is a developer.')], { routes });
+  await page.start();
+  await page.send('What does he do?');
+  const row = page.window.document.querySelector('#msgs .row.ai[data-msg-id]');
+  return { page, row, thumb: rating => row.querySelector(`.rate[data-rating="${rating}"]`) };
+}
+
+const feedbackBodies = page => page.requests.filter(r => r.path === '/feedback').map(r => r.body);
+
+test('a thumb sends the question, answer and model right away', async () => {
+  const { page, row, thumb } = await ratedChat();
+  thumb('down').click();
+  await page.settle();
+
+  const [body] = feedbackBodies(page);
+  assert.equal(body.messageId, row.dataset.msgId);
+  assert.equal(body.rating, 'down');
+  assert.equal(body.question, 'What does he do?');
+  assert.equal(body.answer, 'He is a developer.');
+  assert.equal(body.model, 'test/model');
+  assert.equal(body.comment, '');
+
+  assert.equal(thumb('down').getAttribute('aria-pressed'), 'true');
+  assert.equal(thumb('up').getAttribute('aria-pressed'), 'false');
+  assert.equal(page.saved().messages[1].feedback, 'down');
+});
+
+test('a comment re-sends the rating with it', async () => {
+  const { page, thumb } = await ratedChat();
+  thumb('down').click();
+  await page.settle();
+
+  const form = page.window.document.querySelector('.feedback-form');
+  form.querySelector('input').value = 'He is a designer now';
+  form.requestSubmit();
+  await page.settle();
+  await new Promise(resolve => setImmediate(resolve));
+
+  const bodies = feedbackBodies(page);
+  assert.equal(bodies.length, 2);
+  assert.equal(bodies[1].comment, 'He is a designer now');
+  assert.equal(bodies[1].messageId, bodies[0].messageId);
+  assert.match(form.textContent, /Thanks/);
+});
+
+test('a failed rating is rolled back and explained', async () => {
+  const { page, thumb } = await ratedChat({
+    '/feedback': () => json({ error: 'Too many requests.', code: 'RATE_LIMITED', requestId: 'abcdef123456' }, { status: 429 })
+  });
+  thumb('up').click();
+  await page.settle();
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(thumb('up').getAttribute('aria-pressed'), 'false');
+  assert.equal(page.saved().messages[1].feedback, undefined);
+  assert.match(page.window.document.querySelector('.feedback-form .contact-status').textContent, /ref abcdef12/);
+});
+
+test('the rating is shown again when the chat is reopened', async () => {
+  const { page, thumb } = await ratedChat();
+  thumb('up').click();
+  await page.settle();
+
+  const storage = {
+    chatConversations: page.window.localStorage.getItem('chatConversations'),
+    activeConversationId: page.window.localStorage.getItem('activeConversationId')
+  };
+  const reopened = loadPage([], { storage });
+  await reopened.start();
+  const up = reopened.window.document.querySelector('#msgs .row.ai .rate[data-rating="up"]');
+  assert.equal(up.getAttribute('aria-pressed'), 'true');
+});
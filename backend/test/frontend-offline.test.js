@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { loadPage, ok } = require('./page');
+
+// Offline outbox: questions sent without a connection wait in IndexedDB as
+// pending rows and go to /chat, in order, once the browser is back online.
+
+// Poll until `done()` holds; the outbox flushes in the background
+async function waitFor(done) {
+  for (let i = 0; i < 200 && !done(); i++) await new Promise(resolve => setTimeout(resolve, 5));
+  assert.ok(done(), 'timed out waiting for the outbox');
+}
+
+const queued = page => page.window.eval('outbox.list()');
+
+test('queues questions while offline and sends them in order when back online', async () => {
+  const page = loadPage([ok('First answer.'), ok('Second answer.')], { indexedDB: new IDBFactory() });
+  await page.start();
+  page.setOnline(false);
+  assert.match(page.rows('system').at(-1), /You're offline/);
+
+  await page.send('First?');
+  await page.send('Second?');
+
+  assert.equal(page.chatCalls, 0);
+  assert.deepEqual((await queued(page)).map(item => item.content), ['First?', 'Second?']);
+  assert.equal(page.rows('pending').length, 2);
+  assert.match(page.rows('pending')[0], /First\?.*Pending/);
+
+  page.setOnline(true);
+  await waitFor(() => page.chatCalls === 2 && page.saved().messages.length === 4);
+
+  assert.deepEqual(page.chatBodies().map(body => body.message), ['First?', 'Second?']);
+  assert.deepEqual(page.saved().messages.map(m => m.content), ['First?', 'First answer.', 'Second?', 'Second answer.']);
+  assert.deepEqual(page.rows('pending'), []);
+  assert.deepEqual(await queued(page), []);
+});
+
+test('a question typed behind queued ones waits its turn', async () => {
+  const page = loadPage([ok('One.'), ok('Two.')], { indexedDB: new IDBFactory() });
+  await page.start();
+  page.setOnline(false);
+  await page.send('Queued first');
+  page.online = true; // back online without the event having fired yet
+
+  await page.send('Typed second');
+  await waitFor(() => page.saved().messages.length === 4);
+
+  assert.deepEqual(page.chatBodies().map(body => body.message), ['Queued first', 'Typed second']);
+});
+
+test('queued questions survive a reload and are sent on the next visit', async () => {
+  const indexedDB = new IDBFactory();
+  const before = loadPage([], { indexedDB });
+  await before.start();
+  before.setOnline(false);
+  await before.send('Still there?');
+  assert.equal(before.chatCalls, 0);
+
+  const storage = {
+    chatConversations: before.window.localStorage.getItem('chatConversations'),
+    activeConversationId: before.window.localStorage.getItem('activeConversationId')
+  };
+  const after = loadPage([ok('Yes, still here.')], { indexedDB, storage });
+  await after.start();
+  await waitFor(() => after.saved().messages.length === 2);
+
+  assert.equal(after.chatBodies()[0].message, 'Still there?');
+  assert.match(after.rows('ai').at(-1), /Yes, still here\./);
+  assert.deepEqual(await queued(after), []);
+});
+
+test('a pending question can be cancelled before it is sent', async () => {
+  const page = loadPage([ok('never sent')], { indexedDB: new IDBFactory() });
+  await page.start();
+  page.setOnline(false);
+  await page.send('Never mind');
+
+  page.window.document.querySelector('#msgs .row.pending button').click();
+  await waitFor(() => page.rows('pending').length === 0);
+  assert.deepEqual(await queued(page), []);
+
+  page.setOnline(true);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(page.chatCalls, 0);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadPage, json, ok } = require('./page');
+
+// The page takes its persona's name, greeting, placeholder, avatar and
+// install name from GET /personas/:id and names the persona in every request.
+
+const MANIFEST = JSON.parse(fs.readFileSync(path.join(__dirname, '../../manifest.webmanifest'), 'utf8'));
+
+const mya = {
+  id: 'mya',
+  name: 'Mya Thet',
+  greeting: { en: '👋 Mingalaba {name}, ask me about Mya!' },
+  placeholder: { en: 'Ask about Mya, {name}...' },
+  avatar: 'https://mya.example.com/me.png',
+  profile: { name: 'Mya Thet', profession: 'Designer', workExperience: [], technicalSkills: [], education: [], hobbies: [] }
+};
+
+// Let loadPersona()'s fetch resolve
+const tick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test('uses the persona picked with ?persona= for texts and requests', async () => {
+  const page = loadPage([ok('Hello!')], {
+    url: 'http://localhost:8000/?persona=mya',
+    routes: { '/personas/mya': () => json(mya), '/manifest.webmanifest': () => json(MANIFEST) }
+  });
+  await tick();
+  const doc = page.window.document;
+  assert.equal(doc.querySelector('.modal-profile-img').src, 'https://mya.example.com/me.png');
+  assert.equal(doc.querySelector('.modal-profile-img').alt, 'Mya Thet');
+  assert.equal(doc.querySelector('.modal-intro').textContent, "Hi! I'm Mya Thet's personal AI assistant. Please introduce yourself first:");
+
+  // The install name and start page are the persona's
+  const href = doc.querySelector('link[rel=manifest]').href;
+  const manifest = JSON.parse(decodeURIComponent(href.slice(href.indexOf(',') + 1)));
+  assert.equal(manifest.name, 'Chat with Mya Thet');
+  assert.equal(manifest.short_name, 'Mya Thet');
+  assert.equal(manifest.start_url, 'http://localhost:8000/?persona=mya');
+  assert.equal(manifest.icons[0].src, 'http://localhost:8000/icons/icon-192.png');
+
+  await page.start();
+  assert.match(doc.title, /Mya Thet/);
+  assert.match(page.rows('system').at(-1), /Mingalaba Tester, ask me about Mya!/);
+  assert.equal(doc.getElementById('user-input').placeholder, 'Ask about Mya, Tester...');
+
+  await page.send('Hi');
+  assert.equal(page.chatBodies()[0].persona, 'mya');
+  assert.equal(page.requests.find(r => r.path === '/sessions').body.persona, 'mya');
+  // Each persona keeps its own saved chats
+  assert.ok(page.window.localStorage.getItem('chatConversations:mya'));
+  assert.equal(page.window.localStorage.getItem('chatConversations'), null);
+});
+
+test('without ?persona= asks the backend for its default persona', async () => {
+  const page = loadPage([ok('Hello!')]);
+  await tick();
+  await page.start();
+
+  assert.ok(page.requests.some(r => r.path === '/personas/default'));
+  await page.send('Hi');
+  // The id the backend answered with, so the session stays with it
+  assert.equal(page.chatBodies()[0].persona, 'saw');
+});
+
+test('names nobody in the shell until the persona has loaded', async () => {
+  const page = loadPage([], { routes: { '/personas/default': () => new Promise(() => {}) } });
+  await tick();
+  const doc = page.window.document;
+
+  assert.equal(doc.title, 'Chat with the site owner — Personal AI Assistant');
+  assert.equal(doc.querySelector('.modal-profile-img').getAttribute('src'), 'icons/icon-192.png');
+  assert.equal(doc.querySelector('link[rel=manifest]').getAttribute('href'), 'manifest.webmanifest');
+  assert.equal(MANIFEST.short_name, 'AI Assistant');
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, json, ok } = require('./page');
+
+// sendMessage() retries and backoff. Math.random is pinned to 0.5, so each
+// backoff adds exactly 150ms of jitter.
+
+const rateLimited = retryAfter => () => json(
+  { error: 'Too many requests.', code: 'RATE_LIMITED', requestId: 'req-1', retryAfter },
+  { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+);
+
+test('retries a 429 after the server-requested wait, then shows the reply', async () => {
+  const page = loadPage([rateLimited(5), ok('Here you go.')]);
+  await page.send('Hello');
+
+  assert.equal(page.chatCalls, 2);
+  // max(1200ms backoff, 5s asked for) + 150ms jitter
+  assert.deepEqual(page.backoffs(), [5150]);
+  assert.match(page.rows('system').join('\n'), /retry 1\/3/);
+  assert.match(page.rows('ai').at(-1), /Here you go\./);
+});
+
+test('backs off exponentially on network errors', async () => {
+  const page = loadPage([new TypeError('Failed to fetch'), new TypeError('Failed to fetch'), ok('Back online.')]);
+  await page.send('Hello');
+
+  assert.equal(page.chatCalls, 3);
+  assert.deepEqual(page.backoffs(), [1350, 2550]);
+  assert.equal(page.rows('system').filter(text => /Network issue/.test(text)).length, 2);
+  assert.match(page.rows('ai').at(-1), /Back online\./);
+});
+
+test('does not retry when the server asks for a wait longer than 30s', async () => {
+  const page = loadPage([rateLimited(120), ok('never sent')]);
+  await page.send('Hello');
+
+  assert.equal(page.chatCalls, 1);
+  assert.deepEqual(page.backoffs(), []);
+  assert.match(page.rows('system').at(-1), /\(ref req-1\)/);
+});
+
+test('gives up after three retries and keeps the question in the outbox', async () => {
+  const down = new TypeError('Failed to fetch');
+  const page = loadPage([down, down, down, down, ok('never sent')]);
+  await page.send('Hello');
+
+  assert.equal(page.chatCalls, 4);
+  assert.deepEqual(page.backoffs(), [1350, 2550, 4950]);
+  assert.match(page.rows('system').at(-1), /Couldn't reach the server \(Failed to fetch\)/);
+  assert.equal(page.rows('ai').some(text => /never sent/.test(text)), false);
+  assert.deepEqual(page.rows('pending').map(text => text.includes('Hello')), [true]);
+});
+
+test('recreates an expired session and resends without backing off', async () => {
+  const page = loadPage([json({ code: 'SESSION_NOT_FOUND' }, { status: 404 }), ok('Fresh start.')]);
+  await page.send('Hello');
+
+  assert.equal(page.chatCalls, 2);
+  assert.deepEqual(page.backoffs(), []);
+  assert.match(page.rows('ai').at(-1), /Fresh start\./);
+});
+
+test('reports a failed session reseed as a backend error, not a network one', async () => {
+  const page = loadPage([json({ code: 'SESSION_NOT_FOUND' }, { status: 404 }), ok('never sent')], {
+    routes: {
+      '/sessions': () => (page.sessions === 1
+        ? json({ id: 'session-1' }, { status: 201 })
+        : json({ error: 'Something went wrong.', code: 'INTERNAL', requestId: 'req-9' }, { status: 500 }))
+    }
+  });
+  await page.send('Hello');
+
+  assert.equal(page.chatCalls, 1);
+  assert.deepEqual(page.backoffs(), []);
+  assert.equal(page.rows('system').some(text => /Network issue/.test(text)), false);
+  assert.match(page.rows('system').at(-1), /\(ref req-9\)/);
+  assert.deepEqual(page.rows('pending'), []);
+});
@@ -0,0 +1,121 @@
+// Shared fixtures for the integration tests: a local stand-in for OpenRouter
+// and a throwaway app pointed at it.
+
+// The shared logger reads LOG_LEVEL when first required; run with
+// LOG_LEVEL=debug to see the app's logs next to the test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const http = require('http');
+const { createApp } = require('../app');
+
+// Settings every test app starts from: no tools (so each reply is one
+// upstream call) and rate limits the tests never hit
+const BASE_ENV = {
+  LLM_PROVIDER: 'openrouter',
+  LLM_API_KEY: 'test-key',
+  LLM_MODEL: 'test/model',
+  LLM_TOOLS: 'off',
+  // Streams arrive as sent; the guardrails tests turn the hold-back back on
+  GUARDRAILS_HOLDBACK: '0',
+  RATE_LIMIT_BURST: '1000',
+  RATE_LIMIT_PER_MINUTE: '1000',
+  RATE_LIMIT_DAILY: '1000'
+};
+
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+function close(server) {
+  server.closeAllConnections?.();
+  return new Promise(resolve => server.close(() => resolve()));
+}
+
+// Fake POST /chat/completions. `handler(body, req, res)` answers each call
+// (see the reply helpers below); every parsed request body lands in `requests`.
+async function startFakeOpenRouter(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      if (req.method !== 'POST' || req.url !== '/chat/completions') {
+        res.writeHead(404).end();
+        return;
+      }
+      const body = JSON.parse(raw);
+      requests.push({ body, headers: req.headers });
+      handler(body, req, res);
+    });
+  });
+  const url = await listen(server);
+  return { url, requests, close: () => close(server) };
+}
+
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+// A normal answer: plain JSON, or SSE chunks when the request asked to stream
+function replyWith(text, { model = 'test/model' } = {}) {
+  return (body, req, res) => {
+    if (!body.stream) {
+      return sendJson(res, 200, {
+        model,
+        choices: [{ message: { role: 'assistant', content: text }, finish_reason: 'stop' }]
+      });
+    }
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(': OPENROUTER PROCESSING\n\n');
+    for (const word of text.split(/(?<= )/)) {
+      res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: word } }] })}\n\n`);
+    }
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: {}, finish_reason: 'stop' }] })}\n\n`);
+    res.end('data: [DONE]\n\n');
+  };
+}
+
+// Build an app against `upstreamUrl` with `env` on top of BASE_ENV and serve it
+async function startApp(upstreamUrl, env = {}) {
+  const app = createApp({ env: { ...BASE_ENV, OPENROUTER_BASE_URL: upstreamUrl, ...env } });
+  const server = http.createServer(app);
+  const url = await listen(server);
+  return { app, url, close: () => close(server) };
+}
+
+function postChat(url, body, headers = {}) {
+  return fetch(`${url}/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+// Parse a whole SSE body into [{ event, data }]
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(block => block.trim())
+    .map(block => {
+      let event = 'message';
+      let data = '';
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      return { event, data: data ? JSON.parse(data) : null };
+    });
+}
+
+module.exports = {
+  BASE_ENV,
+  startFakeOpenRouter,
+  sendJson,
+  replyWith,
+  startApp,
+  postChat,
+  parseEvents
+};
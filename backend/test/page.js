@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// Loads the site (index.html with i18n.js, markdown.js, outbox.js and app.js)
+// in jsdom against a scripted fetch, for the frontend tests. Timers fire
+// immediately but their delays are recorded, and Math.random is pinned.
+
+const ROOT = path.join(__dirname, '..', '..');
+const read = file => fs.readFileSync(path.join(ROOT, file), 'utf8');
+// Scripts are evaluated by hand below; ui.js is only animations
+const HTML = read('index.html').replace(/<script src="[^"]+"[^>]*><\/script>/g, '');
+const SCRIPTS = ['i18n.js', 'markdown.js', 'outbox.js', 'app.js'].map(read);
+
+const SESSION_ID = '11111111-1111-4111-8111-111111111111';
+
+function json(data, { status = 200, headers = {} } = {}) {
+  return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+// A plain JSON /chat answer
+const ok = reply => () => json({ reply, sources: [], suggestions: [], model: 'test/model' });
+
+// Boot the page with `chatResponses` answering successive POST /chat calls:
+// a Response, a function of the request body returning one, or an Error to
+// reject with. Request bodies are kept in `requests` ({ path, body });
+// `storage` presets localStorage, `routes` answers other paths
+// ({ '/feedback': body => Response }) and `url` is the page's address.
+// Without an `indexedDB` (a fake-indexeddb factory) the outbox stays in
+// memory; `page.setOnline()` flips navigator.onLine and fires the matching
+// event.
+function loadPage(chatResponses = [], { storage = {}, routes = {}, indexedDB = null, url = 'http://localhost:8000/' } = {}) {
+  const dom = new JSDOM(HTML, { url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const w = dom.window;
+  const page = { window: w, chatCalls: 0, delays: [], requests: [], sessions: 0, online: true };
+
+  w.localStorage.setItem('personalMemory', JSON.stringify({ name: 'Tester' }));
+  for (const [key, value] of Object.entries(storage)) w.localStorage.setItem(key, value);
+  // Browser APIs jsdom leaves out
+  w.TextDecoder = TextDecoder;
+  w.structuredClone = structuredClone;
+  w.crypto.randomUUID = () => crypto.randomUUID();
+  w.Math.random = () => 0.5;
+  w.confirm = () => true;
+  if (indexedDB) w.indexedDB = indexedDB;
+  Object.defineProperty(w.navigator, 'onLine', { get: () => page.online });
+  const realSetTimeout = setTimeout;
+  w.setTimeout = (fn, ms = 0) => {
+    page.delays.push(ms);
+    return realSetTimeout(fn, 0);
+  };
+  w.fetch = async (url, options = {}) => {
+    const { pathname } = new URL(url);
+    page.requests.push({ path: pathname, body: options.body ? JSON.parse(options.body) : null });
+    if (pathname.startsWith('/personas/')) {
+      if (routes[pathname]) return routes[pathname](null);
+      const profile = { name: 'Saw', workExperience: [], technicalSkills: [], education: [], hobbies: [] };
+      return json({ id: 'saw', name: 'Saw', greeting: null, placeholder: null, profile });
+    }
+    if (pathname === '/sessions') {
+      page.sessions += 1;
+      if (routes[pathname]) return routes[pathname](page.requests.at(-1).body);
+      return json({ id: `${SESSION_ID.slice(0, -1)}${page.sessions}`, createdAt: new Date().toISOString() }, { status: 201 });
+    }
+    if (pathname === '/chat') {
+      const next = chatResponses[page.chatCalls++];
+      if (next instanceof Error) throw next;
+      return typeof next === 'function' ? next(page.requests.at(-1).body) : next;
+    }
+    if (routes[pathname]) return routes[pathname](page.requests.at(-1).body);
+    return json({ code: 'NOT_FOUND' }, { status: 404 });
+  };
+
+  for (const script of SCRIPTS) w.eval(script);
+
+  // Close the name modal, which opens the saved (or a new) conversation
+  page.start = async () => {
+    await w.eval('startChat()');
+  };
+  // Wait for a send started by a click to finish
+  page.settle = async () => {
+    do {
+      await new Promise(resolve => setImmediate(resolve));
+    } while (w.document.getElementById('user-input').disabled);
+  };
+  page.send = async text => {
+    w.document.getElementById('user-input').value = text;
+    page.delays.length = 0;
+    await w.eval('sendMessage()');
+  };
+  // app.js keeps its state in script-local variables; the saved copy in
+  // localStorage is what the tests can see
+  page.saved = () => {
+    const list = JSON.parse(w.localStorage.getItem('chatConversations') || '[]');
+    return list.find(c => c.id === w.localStorage.getItem('activeConversationId')) || null;
+  };
+  page.setOnline = online => {
+    page.online = online;
+    w.dispatchEvent(new w.Event(online ? 'online' : 'offline'));
+  };
+  page.rows = kind => [...w.document.querySelectorAll(`#msgs .row.${kind}`)].map(row => row.textContent);
+  // The sleeps of backoff(); everything else on the page uses short timers
+  page.backoffs = () => page.delays.filter(ms => ms >= 1000);
+  page.chatBodies = () => page.requests.filter(r => r.path === '/chat').map(r => r.body);
+  return page;
+}
+
+module.exports = { loadPage, json, ok, SESSION_ID };
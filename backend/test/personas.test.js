@@ -0,0 +1,218 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startFakeOpenRouter, replyWith, startApp, postChat } = require('./helpers');
+const { loadPersonas } = require('../personas');
+
+// Several bots from one deployment: persona files, how a request picks one,
+// and that /chat uses the picked persona's profile, rules and model.
+
+const profile = name => ({
+  name,
+  dateOfBirth: 'March 2, 1998',
+  profession: 'Designer',
+  workExperience: [`${name} Studio`],
+  technicalSkills: ['Figma: daily'],
+  education: ['Art school'],
+  hobbies: ['Climbing'],
+  contactLinks: [],
+  summary: `${name} designs things.`
+});
+
+const PERSONAS = {
+  saw: { default: true, profile: profile('Saw Bhone Htet') },
+  mya: {
+    allowedOrigins: ['https://mya.example.com'],
+    greeting: { en: 'Hi {name}, ask me about Mya!' },
+    placeholder: 'Ask about Mya...',
+    avatar: 'https://mya.example.com/me.png',
+    promptRules: ['Always mention the portfolio at mya.example.com'],
+    model: { model: 'mya/model', maxTokens: 300 },
+    profile: profile('Mya Thet')
+  }
+};
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'personas-test-'));
+  for (const [id, persona] of Object.entries(PERSONAS)) {
+    fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify(persona));
+  }
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('loadPersonas', () => {
+  test('reads one persona per file and resolves requests to them', () => {
+    const personas = loadPersonas({ PERSONAS_DIR: dir }, { devOrigins: ['http://localhost:8000'] });
+
+    assert.deepEqual(personas.list().map(p => p.id), ['mya', 'saw']);
+    assert.equal(personas.default.id, 'saw');
+    assert.equal(personas.get('mya').model.model, 'mya/model');
+    assert.deepEqual(personas.get('mya').placeholder, { en: 'Ask about Mya...' });
+
+    assert.equal(personas.resolve({ id: 'mya' }).id, 'mya');
+    assert.equal(personas.resolve({ id: 'nobody' }), null);
+    assert.equal(personas.resolve({ id: 'default' }).id, 'saw');
+    assert.equal(personas.resolve({ origin: 'https://mya.example.com' }).id, 'mya');
+    assert.equal(personas.resolve({ hostname: 'mya.bots.example.com' }).id, 'mya');
+    assert.equal(personas.resolve({ hostname: 'example.com' }).id, 'saw');
+  });
+
+  test('only the dev origins and its own may use a persona that lists origins', () => {
+    const personas = loadPersonas({ PERSONAS_DIR: dir }, { devOrigins: ['http://localhost:8000'] });
+    const mya = personas.get('mya');
+
+    assert.equal(personas.allows(mya, 'https://mya.example.com'), true);
+    assert.equal(personas.allows(mya, 'http://localhost:8000'), true);
+    assert.equal(personas.allows(mya, 'https://someone-else.example.com'), false);
+    assert.equal(personas.allows(personas.get('saw'), 'https://someone-else.example.com'), true);
+    assert.equal(personas.isAllowedOrigin('https://someone-else.example.com'), false);
+  });
+
+  test('refuses a persona file without a valid profile', () => {
+    const bad = fs.mkdtempSync(path.join(os.tmpdir(), 'personas-bad-'));
+    fs.writeFileSync(path.join(bad, 'broken.json'), JSON.stringify({ profile: { name: 'No details' } }));
+    assert.throws(() => loadPersonas({ PERSONAS_DIR: bad }), /Persona broken\.json: .*profession is required/);
+    fs.rmSync(bad, { recursive: true, force: true });
+  });
+});
+
+describe('persona routes', () => {
+  let upstream;
+  let app;
+
+  before(async () => {
+    upstream = await startFakeOpenRouter(replyWith('Hello there.'));
+    app = await startApp(upstream.url, { PERSONAS_DIR: dir, ADMIN_PASSWORD: 'secret' });
+  });
+
+  after(async () => {
+    await app.close();
+    await upstream.close();
+  });
+
+  test('GET /personas/:id returns what the frontend shows', async () => {
+    const res = await fetch(`${app.url}/personas/mya`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.id, 'mya');
+    assert.equal(body.name, 'Mya Thet');
+    assert.deepEqual(body.greeting, { en: 'Hi {name}, ask me about Mya!' });
+    assert.equal(body.avatar, 'https://mya.example.com/me.png');
+    assert.equal(body.profile.summary, 'Mya Thet designs things.');
+    assert.equal(body.model, undefined);
+
+    const fallback = await (await fetch(`${app.url}/personas/default`)).json();
+    assert.equal(fallback.id, 'saw');
+    assert.equal(fallback.avatar, null);
+
+    const missing = await fetch(`${app.url}/personas/nobody`);
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).code, 'PERSONA_NOT_FOUND');
+  });
+
+  test('/chat answers as the chosen persona with its rules and model', async () => {
+    upstream.requests.length = 0;
+    const res = await postChat(app.url, { message: 'Who are you?', persona: 'mya' });
+    assert.equal(res.status, 200);
+
+    const { body } = upstream.requests[0];
+    assert.equal(body.model, 'mya/model');
+    assert.equal(body.max_tokens, 300);
+    assert.match(body.messages[0].content, /representing Mya Thet/);
+    assert.match(body.messages[0].content, /- Always mention the portfolio at mya\.example\.com/);
+  });
+
+  test('picks the persona from the origin or the subdomain without an id', async () => {
+    upstream.requests.length = 0;
+    await postChat(app.url, { message: 'Hi' }, { Origin: 'https://mya.example.com' });
+    await postChat(app.url, { message: 'Hi' }, { 'X-Forwarded-Host': 'mya.bots.example.com' });
+    await postChat(app.url, { message: 'Hi' });
+
+    const names = upstream.requests.map(r => /representing ([\w ]+)\./.exec(r.body.messages[0].content)[1]);
+    assert.deepEqual(names, ['Mya Thet', 'Mya Thet', 'Saw Bhone Htet']);
+    assert.equal(upstream.requests[2].body.model, 'test/model');
+  });
+
+  test('sessions keep their persona and other sites cannot use a restricted one', async () => {
+    const created = await fetch(`${app.url}/sessions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ persona: 'mya', userName: 'Ko Ko' })
+    });
+    const { id } = await created.json();
+
+    upstream.requests.length = 0;
+    await postChat(app.url, { message: 'And your work?', sessionId: id });
+    assert.match(upstream.requests[0].body.messages[0].content, /representing Mya Thet/);
+
+    const res = await postChat(app.url, { message: 'Hi', persona: 'mya' }, { Origin: 'https://someone-else.example.com' });
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).code, 'FORBIDDEN');
+  });
+
+  test('another site cannot reach a restricted persona through one of its sessions', async () => {
+    const created = await fetch(`${app.url}/sessions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ persona: 'mya', userName: 'Ko Ko' })
+    });
+    const { id } = await created.json();
+    const evil = { Origin: 'https://evil.example.com' };
+
+    upstream.requests.length = 0;
+    for (const body of [{ sessionId: id }, { sessionId: id, persona: 'saw' }]) {
+      const res = await postChat(app.url, { message: 'Hi', ...body }, evil);
+      assert.equal(res.status, 403);
+      assert.equal((await res.json()).code, 'FORBIDDEN');
+    }
+    assert.equal((await fetch(`${app.url}/sessions/${id}`, { headers: evil })).status, 403);
+    assert.equal(upstream.requests.length, 0);
+
+    const own = await postChat(app.url, { message: 'Hi', sessionId: id }, { Origin: 'https://mya.example.com' });
+    assert.equal(own.status, 200);
+  });
+
+  test("a persona's conversation log is not crowded out by busier personas", async () => {
+    const auth = { Authorization: `Basic ${Buffer.from('admin:secret').toString('base64')}` };
+    const session = async persona => (await (await fetch(`${app.url}/sessions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ persona })
+    })).json()).id;
+
+    const mya = await session('mya');
+    await postChat(app.url, { message: 'Hi Mya', sessionId: mya });
+    for (let i = 0; i < 3; i++) await postChat(app.url, { message: 'Hi Saw', sessionId: await session('saw') });
+
+    const res = await fetch(`${app.url}/admin/api/conversations?persona=mya&limit=1`, { headers: auth });
+    const { conversations } = await res.json();
+    assert.equal(conversations.length, 1);
+    assert.equal(conversations[0].messages[0].content, 'Hi Mya');
+  });
+
+  test('the admin edits one persona and its file', async () => {
+    const auth = { Authorization: `Basic ${Buffer.from('admin:secret').toString('base64')}` };
+    const list = await (await fetch(`${app.url}/admin/api/personas`, { headers: auth })).json();
+    assert.deepEqual(list.personas.map(p => [p.id, p.default]), [['mya', false], ['saw', true]]);
+
+    const res = await fetch(`${app.url}/admin/api/profile?persona=mya`, {
+      method: 'PUT',
+      headers: { ...auth, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...profile('Mya Thet'), profession: 'Illustrator' })
+    });
+    assert.equal(res.status, 200);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'mya.json'), 'utf8'));
+    assert.equal(saved.profile.profession, 'Illustrator');
+    assert.equal(saved.model.model, 'mya/model');
+    assert.equal((await (await fetch(`${app.url}/personas/mya`)).json()).profile.profession, 'Illustrator');
+    assert.equal((await (await fetch(`${app.url}/profile`)).json()).profession, 'Designer');
+  });
+});
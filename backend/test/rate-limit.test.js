@@ -0,0 +1,64 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenBucketLimiter, createRateLimiter } = require('../rate-limit');
+
+// The rate limiter on its own, with a fixed clock: which budgets a request
+// spends and how many keys it keeps.
+
+// Run the middleware once; resolves to the HTTP status it answered (200 = passed on)
+function hit(limiter, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      locals: {},
+      status(code) { this.statusCode = code; return this; },
+      set() { return this; },
+      json() { resolve(this.statusCode); }
+    };
+    limiter(req, res, error => (error ? reject(error) : resolve(200)));
+  });
+}
+
+describe('createRateLimiter', () => {
+  test('a request refused for one key spends nothing from the others', async () => {
+    const limiter = createRateLimiter({
+      burst: 2,
+      perMinute: 1,
+      dailyCap: 100,
+      now: () => 0,
+      keysFor: req => [`ip:${req.ip}`, `session:${req.session}`]
+    });
+
+    // One session uses up its budget from the first address...
+    assert.equal(await hit(limiter, { ip: 'a', session: 's1' }), 200);
+    assert.equal(await hit(limiter, { ip: 'a', session: 's1' }), 200);
+    // ...so the second address is refused for it, but keeps its own budget
+    assert.equal(await hit(limiter, { ip: 'b', session: 's1' }), 429);
+    assert.equal(await hit(limiter, { ip: 'b', session: 's1' }), 429);
+    assert.equal(await hit(limiter, { ip: 'b', session: 's2' }), 200);
+    assert.equal(await hit(limiter, { ip: 'b', session: 's3' }), 200);
+  });
+
+  test('passes errors from keysFor on', async () => {
+    const limiter = createRateLimiter({
+      burst: 2,
+      perMinute: 1,
+      dailyCap: 100,
+      keysFor: async () => { throw new Error('store down'); }
+    });
+    await assert.rejects(hit(limiter, { ip: 'a' }), /store down/);
+  });
+});
+
+describe('TokenBucketLimiter', () => {
+  test('keeps at most maxKeys buckets, dropping the least recently used', () => {
+    const limiter = new TokenBucketLimiter({ capacity: 1, refillPerMinute: 1, now: () => 0, maxKeys: 2 });
+    limiter.take('a');
+    limiter.take('b');
+    assert.equal(limiter.take('a').ok, false);
+    limiter.take('c');
+
+    assert.deepEqual([...limiter.buckets.keys()], ['a', 'c']);
+    assert.equal(limiter.check('a').ok, false);
+  });
+});
@@ -0,0 +1,67 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemorySessionStore, FileSessionStore } = require('../sessions');
+
+// Session stores: what survives concurrent turns and what gets evicted.
+
+describe('MemorySessionStore', () => {
+  test('drops the session idle longest, not the oldest one', async () => {
+    const store = new MemorySessionStore({ maxSessions: 2 });
+    const first = await store.create({ userName: 'Ana' });
+    const second = await store.create({ userName: 'Ko Ko' });
+    await store.append(first.id, { role: 'user', content: 'Still here' });
+    await store.create({ userName: 'Mya' });
+
+    assert.ok(await store.get(first.id));
+    assert.equal(await store.get(second.id), null);
+  });
+});
+
+describe('FileSessionStore', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keeps every turn and summary written at once', async () => {
+    const store = new FileSessionStore({ dir });
+    const { id } = await store.create({ userName: 'Ana' });
+
+    await Promise.all([
+      store.append(id, { role: 'user', content: 'One' }, { role: 'assistant', content: 'Reply one' }),
+      store.append(id, { role: 'user', content: 'Two' }, { role: 'assistant', content: 'Reply two' }),
+      store.update(id, { summary: 'Ana asked twice.' })
+    ]);
+
+    const session = await store.get(id);
+    assert.deepEqual(session.messages.map(m => m.content), ['One', 'Reply one', 'Two', 'Reply two']);
+    assert.equal(session.summary, 'Ana asked twice.');
+    assert.deepEqual(fs.readdirSync(dir), [`${id}.json`]);
+  });
+
+  test('lists up to `limit` sessions that pass the filter, however old', async () => {
+    const store = new FileSessionStore({ dir: path.join(dir, 'listed') });
+    const wanted = await store.create({ persona: 'mya' });
+    for (let i = 0; i < 4; i++) await store.create({ persona: 'saw' });
+
+    const listed = await store.list({ limit: 2, filter: session => session.persona === 'mya' });
+    assert.deepEqual(listed.map(session => session.id), [wanted.id]);
+    assert.equal((await store.list({ limit: 2 })).length, 2);
+  });
+
+  test('answers null for sessions that do not exist', async () => {
+    const store = new FileSessionStore({ dir });
+    const id = '00000000-0000-4000-8000-000000000000';
+    assert.equal(await store.append(id, { role: 'user', content: 'Hi' }), null);
+    assert.equal(await store.update(id, { summary: 'x' }), null);
+    assert.equal(fs.existsSync(path.join(dir, `${id}.json`)), false);
+  });
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { KnowledgeBase } = require('../retrieval');
+const { suggestFollowUps } = require('../suggestions');
+
+// Follow-ups come from the persona's own knowledge files and profile, whatever
+// the files are called.
+
+const profile = {
+  name: 'Mya Thet',
+  workExperience: ['Illustrator at Lotus Studio', 'Book covers for Yangon Press'],
+  technicalSkills: ['Procreate: daily', 'Figma: layouts'],
+  education: ['Fine arts at the University of Culture'],
+  hobbies: ['Hiking']
+};
+
+const knowledge = new KnowledgeBase([
+  {
+    id: 'career',
+    title: 'Career',
+    sections: [
+      { heading: 'Career', text: 'Mya has illustrated for years.' },
+      { heading: 'Lotus Studio', text: 'Illustrator at Lotus Studio, drawing characters.' },
+      { heading: 'Yangon Press', text: 'Book covers for Yangon Press.' }
+    ]
+  },
+  {
+    id: 'tools',
+    title: 'Tools',
+    sections: [{ heading: 'Tools', text: 'Procreate daily and Figma for layouts.' }]
+  }
+]);
+
+test("skips the profile section this answer's document already covered", () => {
+  const [chunk] = knowledge.search('Lotus Studio illustrator', { topK: 1 });
+  const suggestions = suggestFollowUps({
+    knowledge,
+    profile,
+    chunks: [chunk],
+    history: [{ role: 'user', content: 'Where does she work?' }, { role: 'assistant', content: 'At Lotus Studio.' }]
+  });
+
+  assert.deepEqual(suggestions, [
+    'Tell me more about Yangon Press.',
+    "What are Mya Thet's strongest technical skills?",
+    'Where did Mya Thet study?'
+  ]);
+});
+
+test('offers every profile section to a persona without knowledge files', () => {
+  const suggestions = suggestFollowUps({ knowledge: new KnowledgeBase([]), profile, limit: 4 });
+  assert.equal(suggestions.length, 4);
+  assert.equal(suggestions[0], 'What work experience does Mya Thet have?');
+});
@@ -0,0 +1,144 @@
+// Function tools the model can call during /chat (OpenAI `tools` format).
+// Built-ins answer from the live profile, so facts like the owner's age are
+// computed on request instead of going stale in the prompt.
+
+const MAX_RESULT_CHARS = 4000;
+
+// Whole years between a date-of-birth string ("January 13, 2005") and `now`,
+// or null when the string isn't a date
+function calculateAge(dateOfBirth, now = new Date()) {
+  const born = new Date(dateOfBirth);
+  if (Number.isNaN(born.getTime()) || born > now) return null;
+  let age = now.getFullYear() - born.getFullYear();
+  const hadBirthday = now.getMonth() > born.getMonth() ||
+    (now.getMonth() === born.getMonth() && now.getDate() >= born.getDate());
+  if (!hadBirthday) age -= 1;
+  return age;
+}
+
+// "React: I can build components" -> { name: 'React', details: 'I can build components' }
+function splitSkill(entry) {
+  const colon = entry.indexOf(':');
+  if (colon === -1) return { name: entry.trim(), details: '' };
+  return { name: entry.slice(0, colon).trim(), details: entry.slice(colon + 1).trim() };
+}
+
+// Tools are { name, description, parameters (JSON Schema), handler(args, context) };
+// handlers may be async and should return something JSON-serializable
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+    // "provider:model" of models that rejected tool definitions; they are
+    // asked without tools from then on instead of failing a call every turn
+    this.unsupported = new Set();
+  }
+
+  register(tool) {
+    if (!tool?.name || typeof tool.handler !== 'function') {
+      throw new Error('A tool needs a name and a handler');
+    }
+    this.tools.set(tool.name, {
+      description: '',
+      parameters: { type: 'object', properties: {} },
+      ...tool
+    });
+    return this;
+  }
+
+  get size() {
+    return this.tools.size;
+  }
+
+  supports({ name, model }) {
+    return !this.unsupported.has(`${name}:${model}`);
+  }
+
+  markUnsupported({ name, model }) {
+    this.unsupported.add(`${name}:${model}`);
+  }
+
+  // The `tools` array sent with a chat completion request
+  definitions() {
+    return [...this.tools.values()].map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters }
+    }));
+  }
+
+  // Run one model tool call ({ id, name, arguments: JSON string }). Failures are
+  // returned as { error } so the model can recover instead of the request failing.
+  async run(call, context = {}) {
+    const invocation = { id: call.id, name: call.name, arguments: {} };
+    const tool = this.tools.get(call.name);
+    try {
+      if (!tool) throw new Error(`Unknown tool: ${call.name}`);
+      invocation.arguments = call.arguments ? JSON.parse(call.arguments) : {};
+      invocation.result = await tool.handler(invocation.arguments, context);
+    } catch (error) {
+      invocation.error = error instanceof SyntaxError ? 'Arguments are not valid JSON' : error.message;
+    }
+    return invocation;
+  }
+}
+
+// Content of the `tool` message that answers a call
+function toolMessageContent(invocation) {
+  const payload = invocation.error ? { error: invocation.error } : invocation.result;
+  return JSON.stringify(payload ?? null).slice(0, MAX_RESULT_CHARS);
+}
+
+const BUILT_IN_TOOLS = [
+  {
+    name: 'get_age',
+    description: "Get the owner's current age, calculated from their date of birth.",
+    handler: (args, { profile, now = new Date() }) => ({
+      age: calculateAge(profile.dateOfBirth, now),
+      dateOfBirth: profile.dateOfBirth
+    })
+  },
+  {
+    name: 'list_projects',
+    description: 'List the projects and jobs the owner has worked on.',
+    handler: (args, { profile }) => ({ projects: profile.workExperience || [] })
+  },
+  {
+    name: 'get_skill_details',
+    description: "Get what the owner says about one technical skill, or list all skills when it isn't found.",
+    parameters: {
+      type: 'object',
+      properties: {
+        skill: { type: 'string', description: 'Skill or technology name, e.g. "React"' }
+      },
+      required: ['skill']
+    },
+    handler: ({ skill = '' }, { profile }) => {
+      const skills = (profile.technicalSkills || []).map(splitSkill);
+      const wanted = String(skill).trim().toLowerCase();
+      const match = wanted && skills.find(s => s.name.toLowerCase().includes(wanted) || wanted.includes(s.name.toLowerCase()));
+      if (match) return match;
+      return { found: false, skills: skills.map(s => s.name) };
+    }
+  },
+  {
+    name: 'get_contact_info',
+    description: 'Get the ways a visitor can contact the owner. Only share what this returns.',
+    handler: (args, { profile }) => ({
+      contactForm: 'Visitors can leave their name, email and message in the contact form shown in this chat.',
+      links: profile.contactLinks || []
+    })
+  }
+];
+
+function createToolRegistry(tools = BUILT_IN_TOOLS) {
+  const registry = new ToolRegistry();
+  for (const tool of tools) registry.register(tool);
+  return registry;
+}
+
+module.exports = {
+  ToolRegistry,
+  BUILT_IN_TOOLS,
+  createToolRegistry,
+  calculateAge,
+  toolMessageContent
+};
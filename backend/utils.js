@@ -0,0 +1,73 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Small helpers shared by several modules: env numbers, regex escaping and
+// the JSON files the stores and persona editor write.
+
+// A numeric setting, or `fallback` when it is unset or not a number
+function envNumber(value, fallback) {
+  return value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// One JSON document rewritten whole on every change. Changes are queued so
+// concurrent requests can't overwrite each other, and each write goes through
+// a temp file so a crash mid-write can't leave half a file. A missing file
+// reads as a copy of `initial` (left out: reading it throws).
+class JsonFile {
+  constructor(file, { initial } = {}) {
+    this.file = file;
+    this.initial = initial;
+    this.queue = Promise.resolve();
+  }
+
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' && this.initial !== undefined) return structuredClone(this.initial);
+      throw error;
+    }
+  }
+
+  // `change(data)` edits the document in place; update() resolves to what it
+  // returns. If reading or `change` throws, nothing is written.
+  update(change) {
+    return this.enqueue(async () => {
+      const data = await this.read();
+      const result = await change(data);
+      await this.save(data);
+      return result;
+    });
+  }
+
+  // Replace the whole document
+  write(data) {
+    return this.enqueue(async () => {
+      await this.save(data);
+      return data;
+    });
+  }
+
+  enqueue(task) {
+    const write = this.queue.then(task);
+    this.queue = write.catch(() => {});
+    return write;
+  }
+
+  async save(data) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2) + '\n');
+    await fs.rename(tmp, this.file);
+  }
+}
+
+module.exports = {
+  envNumber,
+  escapeRegExp,
+  JsonFile
+};
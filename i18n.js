@@ -0,0 +1,386 @@
+// UI translations. Every language shares the same keys; {name}-style
+// placeholders are filled by t(). {owner} is the persona's name once app.js
+// has loaded it (setDefaults), and a neutral 'owner' string until then.
+// A persona can replace single strings (its greeting, say) with setOverrides().
+// Static markup opts in with data-i18n (text), data-i18n-placeholder,
+// data-i18n-title and data-i18n-aria-label; data-i18n-vars holds extra JSON vars.
+
+(function () {
+  const STORAGE_KEY = 'uiLanguage';
+
+  // `speech` is the BCP 47 tag used for TTS, dictation and sentence splitting
+  const LANGUAGES = {
+    en: { label: 'English', speech: 'en-US' },
+    my: { label: 'မြန်မာ', speech: 'my-MM' }
+  };
+
+  const STRINGS = {
+    en: {
+      'owner': 'the site owner',
+      'page.title': 'Chat with {owner} — Personal AI Assistant',
+      'modal.title': 'Chat with {owner}',
+      'modal.intro': "Hi! I'm {owner}'s personal AI assistant. Please introduce yourself first:",
+      'modal.nameLabel': "What's your name?",
+      'modal.namePlaceholder': 'Enter your name here...',
+      'modal.start': 'Start Chatting',
+      'modal.hint': "👋 I'll address you by name and share details about {owner}'s work and experiences.",
+
+      'composer.placeholder': 'Ask me anything about {owner}...',
+      'composer.placeholderNamed': 'Ask me anything about {owner}, {name}...',
+      'composer.listening': 'Listening…',
+      'composer.send': 'Send',
+      'composer.stop': 'Stop',
+      'composer.stopLabel': 'Stop generating',
+      'composer.mic': 'Voice input',
+      'composer.micHint': 'Tap to dictate, hold to talk',
+
+      'settings.title': 'Settings',
+      'settings.open': 'Open settings',
+      'settings.close': 'Close settings',
+      'settings.changeName': 'Change Name',
+      'settings.language': '🌐 Language',
+      'settings.readAloud': '🔊 Read replies aloud',
+      'settings.voice': 'Voice',
+      'settings.defaultVoice': 'Browser default',
+      'settings.speed': 'Speed',
+      'settings.pitch': 'Pitch',
+      'settings.conversations': '💬 Conversations',
+      'settings.newChat': '+ New chat',
+      'settings.transcript': '💾 Conversation',
+      'settings.exportFormat': 'Export format',
+      'settings.export': 'Export',
+      'settings.import': 'Import',
+      'settings.importHint': 'Import a JSON export',
+      'settings.tipsLabel': 'Tips:',
+      'settings.tips': "Ask about {owner}'s work experience, hobbies, or projects • Click 🔊 replay to hear responses",
+
+      'who.you': 'You',
+      'who.ai': 'AI',
+      'who.system': 'System',
+      'who.sources': 'Sources:',
+      'who.tools': 'Looked up:',
+
+      'profile.work': 'Work experience',
+      'profile.skills': 'Skills',
+      'profile.education': 'Education',
+      'profile.hobbies': 'Hobbies',
+
+      'chat.welcome': "👋 Hi {name}! I'm ready to tell you about {owner}. What would you like to know?",
+      'chat.welcomeBack': '👋 Welcome back, {name}! Pick up where you left off.',
+      'chat.newChat': '👋 New chat started. What would you like to know about {owner}?',
+      'chat.memoryUpdated': '✅ Memory updated.',
+      'chat.retrying': 'Working on it — retry {n}/{max}...',
+      'chat.backendError': '⛔ The server had a problem ({status}). Please try again.',
+      'chat.noReply': '⛔ Chat API returned no reply.',
+      'chat.truncated': '✂️ The reply hit the length limit and may be cut off. Ask "continue" for the rest.',
+      'chat.stopped': '⏹️ Stopped.',
+      'chat.connectionLost': '⛔ Connection lost: {details}',
+      'chat.networkRetry': '⚠️ Network issue. Retrying {n}/{max}...',
+      'chat.answeredBy': 'Answered by {model}',
+
+      'chips.starters': 'Suggested questions',
+      'chips.followUps': 'Follow-up questions',
+      'chips.work': 'What work experience does {owner} have?',
+      'chips.skill': 'How does {owner} use {skill}?',
+      'chips.education': 'Where did {owner} study?',
+      'chips.hobbies': 'What does {owner} enjoy doing outside work?',
+
+      'errors.INVALID_INPUT': '⛔ That message could not be sent. It may be too long.',
+      'errors.BLOCKED': "⛔ I can't answer that one. Please rephrase your question.",
+      'errors.SESSION_NOT_FOUND': '⛔ This conversation expired on the server. Start a new chat to continue.',
+      'errors.NOT_FOUND': '⛔ The server did not recognise that request.',
+      'errors.PAYLOAD_TOO_LARGE': '⛔ That is too much text to send at once.',
+      'errors.RATE_LIMITED': '⛔ Too many messages right now. Please wait a moment and try again.',
+      'errors.DAILY_LIMIT': "⛔ You've reached today's message limit. Please come back tomorrow.",
+      'errors.PROVIDER_DOWN': '⛔ The AI service is unavailable right now. Please try again in a few minutes.',
+      'errors.PROVIDER_ERROR': '⛔ The AI service could not answer that. Please try rephrasing.',
+      'errors.EMPTY_REPLY': '⛔ The AI returned an empty reply. Please try again.',
+      'errors.STREAM_INTERRUPTED': '⛔ The reply was interrupted. Please try again.',
+      'errors.CONFIG_MISSING': '⛔ The chatbot is not set up yet. Please try again later.',
+      'errors.PERSONA_NOT_FOUND': '⛔ There is no chatbot with that name. Check the link you used.',
+      'errors.FORBIDDEN': '⛔ This chatbot is not available on this site.',
+      'errors.INTERNAL': '⛔ Something went wrong on our side. Please try again.',
+      'errors.ref': '(ref {id})',
+      'contact.title': '📬 Leave a message for {owner}',
+      'contact.name': 'Your name',
+      'contact.email': 'Email',
+      'contact.message': 'Message',
+      'contact.send': 'Send message',
+      'contact.cancel': 'Not now',
+      'contact.sending': 'Sending…',
+      'contact.sent': '✅ Thanks, {name}! Your message is on its way to {owner}, who will reply to {email}.',
+      'contact.invalid': '⛔ Please check the form: {details}',
+      'contact.rateLimited': '⛔ Too many messages sent. Please try again later.',
+      'contact.failed': '⛔ Could not send your message: {details}',
+
+      'conv.defaultTitle': 'New chat',
+      'conv.rename': 'Rename conversation',
+      'conv.delete': 'Delete conversation',
+      'conv.confirmDelete': 'Delete "{title}"? This can\'t be undone.',
+      'conv.updated': 'Updated {time}',
+
+      'transcript.heading': 'Conversation with {owner}',
+      'transcript.exported': 'Exported {time} by {name}',
+      'transcript.nothing': 'Nothing to export yet.',
+      'transcript.invalid': "⛔ That file isn't a valid JSON export.",
+      'transcript.empty': '⛔ No messages found in that export.',
+      'transcript.imported': '📥 Imported {count} messages. You can continue the chat.',
+
+      'voice.unsupported': "🎙️ This browser doesn't support speech recognition.",
+      'voice.blocked': '🎙️ Microphone access is blocked. Allow it in your browser settings to use voice input.',
+      'voice.error': '🎙️ Voice input stopped: {error}',
+
+      'tts.unsupported': "🔇 This browser doesn't support speechSynthesis.",
+      'tts.replayInitial': '🔊 replay',
+      'tts.pause': 'Pause',
+      'tts.resume': 'Resume',
+      'tts.replay': 'Replay',
+
+      'msg.copy': 'Copy message',
+      'msg.edit': 'Edit and resend',
+      'msg.regenerate': 'Regenerate reply',
+      'msg.delete': 'Delete question and reply',
+      'msg.confirmDelete': "Delete this message and its reply? This can't be undone.",
+      'msg.resend': 'Send',
+      'msg.cancel': 'Cancel',
+      'feedback.up': 'Good answer',
+      'feedback.down': 'Wrong or unhelpful answer',
+      'feedback.commentUp': 'What was helpful? (optional)',
+      'feedback.commentDown': 'What was wrong or missing? (optional)',
+      'feedback.send': 'Send',
+      'feedback.skip': 'Skip',
+      'feedback.thanks': '🙏 Thanks for the feedback!',
+      'feedback.failed': "⛔ Couldn't send feedback: {details}",
+      'offline.pending': 'Pending',
+      'offline.cancel': "Don't send",
+      'offline.queued': "📴 Couldn't reach the server ({details}). Your message is saved and will be sent when the connection is back.",
+      'offline.notice': "📴 You're offline. Messages you send now are sent once you reconnect.",
+      'md.copy': 'Copy',
+      'md.copied': 'Copied',
+      'md.copyFailed': 'Copy failed'
+    },
+
+    my: {
+      'owner': 'ဆိုက်ပိုင်ရှင်',
+      'page.title': '{owner} နှင့် စကားပြောရန် — ကိုယ်ပိုင် AI လက်ထောက်',
+      'modal.title': '{owner} နှင့် စကားပြောမယ်',
+      'modal.intro': 'မင်္ဂလာပါ! ကျွန်တော်က {owner} ရဲ့ ကိုယ်ပိုင် AI လက်ထောက်ပါ။ အရင်ဆုံး ကိုယ့်ကိုယ်ကို မိတ်ဆက်ပေးပါ -',
+      'modal.nameLabel': 'သင့်နာမည် ဘယ်လိုခေါ်လဲ?',
+      'modal.namePlaceholder': 'နာမည်ကို ဒီမှာ ရိုက်ထည့်ပါ...',
+      'modal.start': 'စကားပြောမယ်',
+      'modal.hint': '👋 သင့်ကို နာမည်နဲ့ ခေါ်ပြီး {owner} ရဲ့ အလုပ်နဲ့ အတွေ့အကြုံတွေကို ပြောပြပေးပါမယ်။',
+
+      'composer.placeholder': '{owner} အကြောင်း ဘာမဆို မေးပါ...',
+      'composer.placeholderNamed': '{name}၊ {owner} အကြောင်း ဘာမဆို မေးပါ...',
+      'composer.listening': 'နားထောင်နေသည်…',
+      'composer.send': 'ပို့မယ်',
+      'composer.stop': 'ရပ်မယ်',
+      'composer.stopLabel': 'ဖြေဆိုမှုကို ရပ်ရန်',
+      'composer.mic': 'အသံဖြင့် ရိုက်ထည့်ရန်',
+      'composer.micHint': 'တစ်ချက်နှိပ်ပြီး ပြောပါ၊ ဖိထားပြီးလည်း ပြောနိုင်ပါတယ်',
+
+      'settings.title': 'ဆက်တင်များ',
+      'settings.open': 'ဆက်တင်များ ဖွင့်ရန်',
+      'settings.close': 'ဆက်တင်များ ပိတ်ရန်',
+      'settings.changeName': 'နာမည်ပြောင်းမယ်',
+      'settings.language': '🌐 ဘာသာစကား',
+      'settings.readAloud': '🔊 အဖြေများကို အသံဖြင့် ဖတ်ပြရန်',
+      'settings.voice': 'အသံ',
+      'settings.defaultVoice': 'ဘရောက်ဇာ မူလအသံ',
+      'settings.speed': 'အမြန်နှုန်း',
+      'settings.pitch': 'အသံအနိမ့်အမြင့်',
+      'settings.conversations': '💬 စကားဝိုင်းများ',
+      'settings.newChat': '+ စကားဝိုင်းအသစ်',
+      'settings.transcript': '💾 စကားဝိုင်း',
+      'settings.exportFormat': 'ဖိုင်အမျိုးအစား',
+      'settings.export': 'ထုတ်ယူမယ်',
+      'settings.import': 'ထည့်သွင်းမယ်',
+      'settings.importHint': 'ထုတ်ယူထားသော JSON ဖိုင်ကို ပြန်ထည့်ရန်',
+      'settings.tipsLabel': 'အကြံပြုချက် -',
+      'settings.tips': '{owner} ရဲ့ အလုပ်အတွေ့အကြုံ၊ ဝါသနာ ဒါမှမဟုတ် ပရောဂျက်တွေအကြောင်း မေးကြည့်ပါ • 🔊 ကိုနှိပ်ပြီး အဖြေကို နားထောင်နိုင်ပါတယ်',
+
+      'who.you': 'သင်',
+      'who.ai': 'AI',
+      'who.system': 'စနစ်',
+      'who.sources': 'ကိုးကားချက်များ -',
+      'who.tools': 'ရှာဖွေခဲ့သည် -',
+
+      'profile.work': 'အလုပ်အတွေ့အကြုံ',
+      'profile.skills': 'ကျွမ်းကျင်မှုများ',
+      'profile.education': 'ပညာရေး',
+      'profile.hobbies': 'ဝါသနာများ',
+
+      'chat.welcome': '👋 မင်္ဂလာပါ {name}! {owner} အကြောင်း ပြောပြဖို့ အသင့်ပါ။ ဘာသိချင်လဲ?',
+      'chat.welcomeBack': '👋 ပြန်လာတာ ကြိုဆိုပါတယ် {name}! ရပ်ထားတဲ့နေရာကနေ ဆက်ပြောနိုင်ပါတယ်။',
+      'chat.newChat': '👋 စကားဝိုင်းအသစ် စပါပြီ။ {owner} အကြောင်း ဘာသိချင်လဲ?',
+      'chat.memoryUpdated': '✅ မှတ်ဉာဏ်ကို အပ်ဒိတ်လုပ်ပြီးပါပြီ။',
+      'chat.retrying': 'လုပ်ဆောင်နေပါတယ် — ထပ်ကြိုးစားခြင်း {n}/{max}...',
+      'chat.backendError': '⛔ ဆာဗာမှာ ပြဿနာ ရှိနေပါတယ် ({status})။ ထပ်ကြိုးစားပါ။',
+      'chat.noReply': '⛔ AI ထံမှ အဖြေ မရပါ။',
+      'chat.truncated': '✂️ အဖြေက အရှည်ကန့်သတ်ချက်ကို ရောက်သွားလို့ ပြတ်နေနိုင်ပါတယ်။ ကျန်တာအတွက် "ဆက်ပြောပါ" လို့ မေးပါ။',
+      'chat.stopped': '⏹️ ရပ်လိုက်ပါပြီ။',
+      'chat.connectionLost': '⛔ ချိတ်ဆက်မှု ပြတ်သွားပါတယ်: {details}',
+      'chat.networkRetry': '⚠️ ကွန်ရက် ပြဿနာ ရှိနေပါတယ်။ ထပ်ကြိုးစားနေသည် {n}/{max}...',
+      'chat.answeredBy': '{model} မှ ဖြေဆိုသည်',
+
+      'chips.starters': 'မေးကြည့်နိုင်သော မေးခွန်းများ',
+      'chips.followUps': 'ဆက်မေးနိုင်သော မေးခွန်းများ',
+      'chips.work': '{owner} မှာ ဘယ်လို အလုပ်အတွေ့အကြုံတွေ ရှိလဲ?',
+      'chips.skill': '{owner} က {skill} ကို ဘယ်လို အသုံးပြုလဲ?',
+      'chips.education': '{owner} ဘယ်မှာ ပညာသင်ခဲ့လဲ?',
+      'chips.hobbies': '{owner} အလုပ်ပြင်ပမှာ ဘာလုပ်ရတာ ကြိုက်လဲ?',
+
+      'errors.INVALID_INPUT': '⛔ ဒီမက်ဆေ့ချ်ကို ပို့လို့ မရပါ။ ရှည်လွန်းနေနိုင်ပါတယ်။',
+      'errors.BLOCKED': '⛔ ဒီမေးခွန်းကို မဖြေနိုင်ပါ။ တခြားပုံစံနဲ့ ပြန်မေးကြည့်ပါ။',
+      'errors.SESSION_NOT_FOUND': '⛔ ဒီစကားဝိုင်းက ဆာဗာမှာ သက်တမ်းကုန်သွားပါပြီ။ ဆက်ပြောဖို့ စကားဝိုင်းအသစ် စပါ။',
+      'errors.NOT_FOUND': '⛔ ဆာဗာက ဒီတောင်းဆိုမှုကို မသိပါ။',
+      'errors.PAYLOAD_TOO_LARGE': '⛔ တစ်ခါတည်း ပို့ဖို့ စာသား များလွန်းပါတယ်။',
+      'errors.RATE_LIMITED': '⛔ အခု မက်ဆေ့ချ် များလွန်းနေပါတယ်။ ခဏစောင့်ပြီး ထပ်ကြိုးစားပါ။',
+      'errors.DAILY_LIMIT': '⛔ ဒီနေ့အတွက် မက်ဆေ့ချ် ကန့်သတ်ချက် ပြည့်သွားပါပြီ။ မနက်ဖြန် ပြန်လာပါ။',
+      'errors.PROVIDER_DOWN': '⛔ AI ဝန်ဆောင်မှု အခု မရနိုင်ပါ။ မိနစ်အနည်းငယ်အကြာ ထပ်ကြိုးစားပါ။',
+      'errors.PROVIDER_ERROR': '⛔ AI ဝန်ဆောင်မှုက ဒါကို မဖြေနိုင်ပါ။ တခြားပုံစံနဲ့ ပြန်မေးကြည့်ပါ။',
+      'errors.EMPTY_REPLY': '⛔ AI က အဖြေအလွတ် ပြန်ပေးပါတယ်။ ထပ်ကြိုးစားပါ။',
+      'errors.STREAM_INTERRUPTED': '⛔ အဖြေ ပြတ်တောက်သွားပါတယ်။ ထပ်ကြိုးစားပါ။',
+      'errors.CONFIG_MISSING': '⛔ Chatbot ကို မပြင်ဆင်ရသေးပါ။ နောက်မှ ထပ်ကြိုးစားပါ။',
+      'errors.PERSONA_NOT_FOUND': '⛔ ဒီနာမည်နဲ့ chatbot မရှိပါ။ သုံးထားတဲ့ လင့်ခ်ကို စစ်ကြည့်ပါ။',
+      'errors.FORBIDDEN': '⛔ ဒီ chatbot ကို ဒီဝက်ဆိုက်မှာ သုံးလို့ မရပါ။',
+      'errors.INTERNAL': '⛔ ကျွန်ုပ်တို့ဘက်မှာ တစ်ခုခု မှားသွားပါတယ်။ ထပ်ကြိုးစားပါ။',
+      'errors.ref': '(ref {id})',
+      'contact.title': '📬 {owner} ထံ မက်ဆေ့ချ် ချန်ထားခဲ့ပါ',
+      'contact.name': 'သင့်နာမည်',
+      'contact.email': 'အီးမေးလ်',
+      'contact.message': 'မက်ဆေ့ချ်',
+      'contact.send': 'မက်ဆေ့ချ် ပို့မယ်',
+      'contact.cancel': 'နောက်မှ',
+      'contact.sending': 'ပို့နေသည်…',
+      'contact.sent': '✅ ကျေးဇူးတင်ပါတယ် {name}! သင့်မက်ဆေ့ချ်ကို {owner} ထံ ပို့ပြီးပါပြီ။ {email} သို့ ပြန်လည်ဆက်သွယ်ပါလိမ့်မယ်။',
+      'contact.invalid': '⛔ ဖောင်ကို ပြန်စစ်ပေးပါ: {details}',
+      'contact.rateLimited': '⛔ မက်ဆေ့ချ် အများကြီး ပို့ပြီးပါပြီ။ နောက်မှ ထပ်ကြိုးစားပါ။',
+      'contact.failed': '⛔ မက်ဆေ့ချ် ပို့၍ မရပါ: {details}',
+
+      'conv.defaultTitle': 'စကားဝိုင်းအသစ်',
+      'conv.rename': 'စကားဝိုင်း အမည်ပြောင်းရန်',
+      'conv.delete': 'စကားဝိုင်း ဖျက်ရန်',
+      'conv.confirmDelete': '"{title}" ကို ဖျက်မလား? ပြန်ယူ၍ မရပါ။',
+      'conv.updated': 'နောက်ဆုံးပြင်ဆင်ချိန် {time}',
+
+      'transcript.heading': '{owner} နှင့် စကားဝိုင်း',
+      'transcript.exported': '{name} မှ {time} တွင် ထုတ်ယူသည်',
+      'transcript.nothing': 'ထုတ်ယူစရာ မရှိသေးပါ။',
+      'transcript.invalid': '⛔ ဒီဖိုင်က မှန်ကန်တဲ့ JSON ထုတ်ယူဖိုင် မဟုတ်ပါ။',
+      'transcript.empty': '⛔ ဒီဖိုင်ထဲမှာ မက်ဆေ့ချ် မတွေ့ပါ။',
+      'transcript.imported': '📥 မက်ဆေ့ချ် {count} ခု ထည့်သွင်းပြီးပါပြီ။ ဆက်ပြောနိုင်ပါတယ်။',
+
+      'voice.unsupported': '🎙️ ဒီဘရောက်ဇာက အသံမှတ်သားခြင်းကို မပံ့ပိုးပါ။',
+      'voice.blocked': '🎙️ မိုက်ခရိုဖုန်း ခွင့်ပြုချက် ပိတ်ထားပါတယ်။ အသံဖြင့် ရိုက်ထည့်ရန် ဘရောက်ဇာ ဆက်တင်တွင် ခွင့်ပြုပါ။',
+      'voice.error': '🎙️ အသံထည့်သွင်းမှု ရပ်သွားပါတယ်: {error}',
+
+      'tts.unsupported': '🔇 ဒီဘရောက်ဇာက အသံဖြင့်ဖတ်ခြင်းကို မပံ့ပိုးပါ။',
+      'tts.replayInitial': '🔊 ပြန်ဖတ်',
+      'tts.pause': 'ခဏရပ်',
+      'tts.resume': 'ဆက်ဖတ်',
+      'tts.replay': 'ပြန်ဖတ်',
+
+      'msg.copy': 'မက်ဆေ့ချ် ကူးယူရန်',
+      'msg.edit': 'ပြင်ဆင်ပြီး ပြန်ပို့ရန်',
+      'msg.regenerate': 'အဖြေ ပြန်ထုတ်ရန်',
+      'msg.delete': 'မေးခွန်းနှင့် အဖြေ ဖျက်ရန်',
+      'msg.confirmDelete': 'ဒီမက်ဆေ့ချ်နှင့် ၎င်း၏ အဖြေကို ဖျက်မလား? ပြန်ယူ၍ မရပါ။',
+      'msg.resend': 'ပို့မယ်',
+      'msg.cancel': 'မလုပ်တော့ပါ',
+      'feedback.up': 'ကောင်းသော အဖြေ',
+      'feedback.down': 'မှားယွင်းသော သို့မဟုတ် အသုံးမဝင်သော အဖြေ',
+      'feedback.commentUp': 'ဘာက အသုံးဝင်ခဲ့လဲ? (မဖြည့်လည်း ရပါတယ်)',
+      'feedback.commentDown': 'ဘာမှားနေလဲ၊ ဘာလိုနေလဲ? (မဖြည့်လည်း ရပါတယ်)',
+      'feedback.send': 'ပို့မယ်',
+      'feedback.skip': 'ကျော်မယ်',
+      'feedback.thanks': '🙏 အကြံပြုချက်အတွက် ကျေးဇူးတင်ပါတယ်!',
+      'feedback.failed': '⛔ အကြံပြုချက် ပို့၍ မရပါ: {details}',
+      'offline.pending': 'ပို့ရန် စောင့်နေသည်',
+      'offline.cancel': 'မပို့တော့ပါ',
+      'offline.queued': '📴 ဆာဗာကို ဆက်သွယ်၍ မရပါ ({details})။ သင့်မက်ဆေ့ချ်ကို သိမ်းထားပြီး အင်တာနက် ပြန်ရလျှင် ပို့ပေးပါမယ်။',
+      'offline.notice': '📴 အော့ဖ်လိုင်း ဖြစ်နေပါတယ်။ ယခု ပို့သော မက်ဆေ့ချ်များကို ပြန်ချိတ်ဆက်မိလျှင် ပို့ပေးပါမယ်။',
+      'md.copy': 'ကူးယူ',
+      'md.copied': 'ကူးယူပြီး',
+      'md.copyFailed': 'ကူးယူ၍ မရပါ'
+    }
+  };
+
+  const defaults = {};
+  let overrides = {};
+  let current = initialLanguage();
+
+  // Saved choice first, then the browser's language, then English
+  function initialLanguage() {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (LANGUAGES[saved]) return saved;
+    const browser = (navigator.language || '').toLowerCase().split('-')[0];
+    return LANGUAGES[browser] ? browser : 'en';
+  }
+
+  // An override for the current language wins; missing keys fall back to
+  // English, then to the key itself
+  function t(key, vars = {}) {
+    const template = overrides[key]?.[current] ?? STRINGS[current][key] ?? STRINGS.en[key] ?? key;
+    const values = { owner: STRINGS[current].owner, ...defaults, ...vars };
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+  }
+
+  function applyTranslations(root = document) {
+    const vars = el => {
+      try { return JSON.parse(el.dataset.i18nVars || '{}'); } catch { return {}; }
+    };
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = t(el.dataset.i18n, vars(el));
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+      el.placeholder = t(el.dataset.i18nPlaceholder, vars(el));
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => {
+      el.title = t(el.dataset.i18nTitle, vars(el));
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+      el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel, vars(el)));
+    });
+    document.documentElement.lang = current;
+    document.title = t('page.title');
+  }
+
+  // Persist, re-translate static markup and let app code redo dynamic text
+  function setLanguage(lang) {
+    if (!LANGUAGES[lang]) return;
+    current = lang;
+    localStorage.setItem(STORAGE_KEY, lang);
+    applyTranslations();
+    window.dispatchEvent(new CustomEvent('uilanguagechange', { detail: { language: lang } }));
+  }
+
+  function setDefaults(vars) {
+    Object.assign(defaults, vars);
+    applyTranslations();
+  }
+
+  // { key: { en: '...', my: '...' } }; languages left out keep the built-in string
+  function setOverrides(strings) {
+    overrides = Object.fromEntries(Object.entries(strings).filter(([, texts]) => texts));
+    applyTranslations();
+  }
+
+  window.i18n = {
+    LANGUAGES,
+    t,
+    applyTranslations,
+    setLanguage,
+    setDefaults,
+    setOverrides,
+    language: () => current,
+    speechLang: () => LANGUAGES[current].speech
+  };
+  window.t = t;
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => applyTranslations());
+  } else {
+    applyTranslations();
+  }
+})();
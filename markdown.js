@@ -0,0 +1,190 @@
+// Safe Markdown subset for AI replies, built with DOM nodes only (no innerHTML).
+// Blocks: paragraphs, headings, lists, blockquotes, fenced code with a copy button.
+// Inline: **bold**, *italic*, `code`, [links](https://...) and bare URLs.
+
+(function () {
+  // Only these URL schemes become clickable; anything else stays plain text
+  const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+  // Button labels come from i18n.js when it is loaded
+  const label = (key, fallback) => (window.t ? window.t(key) : fallback);
+
+  // One alternative per inline construct; underscores only count at word
+  // boundaries so snake_case names survive
+  const INLINE = new RegExp([
+    '(`+)([^`]|[^`][\\s\\S]*?[^`])\\1(?!`)',           // 1,2 code
+    '\\*\\*(?=\\S)([\\s\\S]+?)\\*\\*',                  // 3   bold
+    '(?<!\\w)__(?=\\S)([\\s\\S]+?)__(?!\\w)',           // 4   bold
+    '\\[([^\\]]+)\\]\\(((?:[^()\\s]|\\([^()\\s]*\\))+)\\)', // 5,6 link
+    '(?<![\\w*])\\*(?=\\S)([^*]+?)\\*(?![\\w*])',       // 7   italic
+    '(?<!\\w)_(?=\\S)([^_]+?)_(?!\\w)',                 // 8   italic
+    '(https?:\\/\\/[^\\s<]+[^\\s<.,;:!?)\\]\'"])'       // 9   bare URL
+  ].join('|'));
+
+  function link(href, children) {
+    if (!SAFE_URL.test(href)) return children;
+    const a = document.createElement('a');
+    a.href = href;
+    a.target = '_blank';
+    a.rel = 'noopener noreferrer';
+    a.append(...children);
+    return [a];
+  }
+
+  function wrap(tag, children) {
+    const el = document.createElement(tag);
+    el.append(...children);
+    return el;
+  }
+
+  function renderInline(text) {
+    const nodes = [];
+    let last = 0;
+    // Fresh regex per call: nested calls would otherwise reset lastIndex
+    const re = new RegExp(INLINE.source, 'g');
+
+    for (let m; (m = re.exec(text)); ) {
+      if (m.index > last) nodes.push(text.slice(last, m.index));
+      last = re.lastIndex;
+
+      if (m[2] !== undefined) {
+        const code = document.createElement('code');
+        code.textContent = m[2];
+        nodes.push(code);
+      } else if (m[3] !== undefined || m[4] !== undefined) {
+        nodes.push(wrap('strong', renderInline(m[3] ?? m[4])));
+      } else if (m[5] !== undefined) {
+        nodes.push(...link(m[6], renderInline(m[5])));
+      } else if (m[7] !== undefined || m[8] !== undefined) {
+        nodes.push(wrap('em', renderInline(m[7] ?? m[8])));
+      } else if (m[9] !== undefined) {
+        nodes.push(...link(m[9], [m[9]]));
+      }
+    }
+    if (last < text.length) nodes.push(text.slice(last));
+    return nodes;
+  }
+
+  // Lines joined by <br>, each rendered inline
+  function inlineLines(lines) {
+    const nodes = [];
+    lines.forEach((line, i) => {
+      if (i > 0) nodes.push(document.createElement('br'));
+      nodes.push(...renderInline(line));
+    });
+    return nodes;
+  }
+
+  function codeBlock(code, lang) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'md-code';
+
+    const copy = document.createElement('button');
+    copy.type = 'button';
+    copy.className = 'code-copy';
+    copy.textContent = label('md.copy', 'Copy');
+    copy.onclick = async () => {
+      try {
+        await navigator.clipboard.writeText(code);
+        copy.textContent = label('md.copied', 'Copied');
+      } catch {
+        copy.textContent = label('md.copyFailed', 'Copy failed');
+      }
+      setTimeout(() => { copy.textContent = label('md.copy', 'Copy'); }, 1500);
+    };
+
+    const pre = document.createElement('pre');
+    const codeEl = document.createElement('code');
+    if (lang) codeEl.dataset.lang = lang;
+    codeEl.textContent = code;
+    pre.appendChild(codeEl);
+
+    wrapper.append(copy, pre);
+    return wrapper;
+  }
+
+  const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+  const FENCE = /^\s*```\s*([\w+-]*)\s*$/;
+
+  function renderMarkdown(source) {
+    const fragment = document.createDocumentFragment();
+    const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      // Fenced code; an unclosed fence (mid-stream) runs to the end
+      const fence = FENCE.exec(line);
+      if (fence) {
+        const body = [];
+        i++;
+        while (i < lines.length && !/^\s*```\s*$/.test(lines[i])) body.push(lines[i++]);
+        i++;
+        fragment.appendChild(codeBlock(body.join('\n'), fence[1]));
+        continue;
+      }
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      const heading = /^\s*#{1,6}\s+(.*)$/.exec(line);
+      if (heading) {
+        const p = document.createElement('p');
+        p.className = 'md-heading';
+        p.appendChild(wrap('strong', renderInline(heading[1])));
+        fragment.appendChild(p);
+        i++;
+        continue;
+      }
+
+      if (/^\s*>/.test(line)) {
+        const quoted = [];
+        while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*>\s?/, ''));
+        fragment.appendChild(wrap('blockquote', inlineLines(quoted)));
+        continue;
+      }
+
+      const item = LIST_ITEM.exec(line);
+      if (item) {
+        const ordered = /\d/.test(item[1]);
+        const list = document.createElement(ordered ? 'ol' : 'ul');
+        while (i < lines.length) {
+          const next = LIST_ITEM.exec(lines[i]);
+          if (!next || /\d/.test(next[1]) !== ordered) break;
+          list.appendChild(wrap('li', renderInline(next[2])));
+          i++;
+        }
+        fragment.appendChild(list);
+        continue;
+      }
+
+      // Paragraph: consecutive lines until a blank line or another block starts
+      const para = [];
+      while (
+        i < lines.length && lines[i].trim() &&
+        !FENCE.test(lines[i]) && !LIST_ITEM.test(lines[i]) &&
+        !/^\s*(#{1,6}\s|>)/.test(lines[i])
+      ) {
+        para.push(lines[i++]);
+      }
+      fragment.appendChild(wrap('p', inlineLines(para)));
+    }
+
+    return fragment;
+  }
+
+  // Readable text for speech: the rendered content minus UI chrome
+  function markdownToText(source) {
+    const box = document.createElement('div');
+    box.appendChild(renderMarkdown(source));
+    box.querySelectorAll('.code-copy').forEach(btn => btn.remove());
+    box.querySelectorAll('p, li, pre, blockquote').forEach(el => el.append(' '));
+    return box.textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  window.renderMarkdown = renderMarkdown;
+  window.markdownToText = markdownToText;
+})();
@@ -0,0 +1,61 @@
+// Outbox for messages typed while offline: kept in IndexedDB until app.js can
+// send them. Items are { id, conversationId, content, at }, oldest first.
+// Without IndexedDB (some private modes) the queue only lives in memory.
+
+(function () {
+  const DB_NAME = 'chatbot';
+  const STORE = 'outbox';
+  let dbPromise = null;
+  let memory = null;
+
+  function open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) return reject(new Error('IndexedDB unavailable'));
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(() => {
+        memory = new Map();
+        return null;
+      });
+    }
+    return dbPromise;
+  }
+
+  // Run `fn(store)` in one transaction; resolves with the last request's result
+  async function withStore(mode, fn) {
+    const db = await open();
+    if (!db) return fn(null);
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  function add(item) {
+    return withStore('readwrite', store => (store ? store.put(item) : memory.set(item.id, item)));
+  }
+
+  // Every queued item, or just those of one conversation
+  async function list(conversationId = null) {
+    const items = await withStore('readonly', store => (store ? store.getAll() : null)) || [...memory.values()];
+    return items
+      .filter(item => !conversationId || item.conversationId === conversationId)
+      .sort((a, b) => a.at.localeCompare(b.at));
+  }
+
+  function remove(id) {
+    return withStore('readwrite', store => (store ? store.delete(id) : memory.delete(id)));
+  }
+
+  async function clear(conversationId) {
+    const items = await list(conversationId);
+    await Promise.all(items.map(item => remove(item.id)));
+  }
+
+  window.outbox = { add, list, remove, clear };
+})();
@@ -0,0 +1,80 @@
+// Service worker: caches the app shell so the page opens offline. Backend
+// calls (/chat, /sessions, ...) go to another origin and are never cached;
+// questions asked offline wait in the outbox (outbox.js) instead.
+// Bump CACHE when the shell's file list changes.
+
+const CACHE = 'shell-v2';
+const SHELL = [
+  './',
+  'index.html',
+  'app.js',
+  'ui.js',
+  'i18n.js',
+  'markdown.js',
+  'outbox.js',
+  'manifest.webmanifest',
+  'icons/icon-192.png',
+  'icons/icon-512.png'
+];
+// Font Awesome's stylesheet and fonts
+const CDN = 'https://cdnjs.cloudflare.com';
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The network, keeping the cache current; the cached copy only when offline.
+// Used for the shell so a page and its scripts always come from the same
+// deploy (cache-first scripts would run old code under new markup).
+async function networkFirst(request, cacheKey = request) {
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(cacheKey, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Cached copy right away, refreshed in the background for next time. Only for
+// the CDN, whose URLs are versioned.
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request);
+  const fresh = fetch(request)
+    .then(response => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || fresh;
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Pages: the network when there is one (so deploys show up), else the cached shell
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, 'index.html'));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === CDN) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});